@@ -0,0 +1,85 @@
+// Action Policy - Decides whether a tool may change a page without asking
+// Used by the service worker before every MCP call and by the side panel
+// settings. Read-only tools always run. Tools marked mutates: true in
+// mcp-tools.js run directly on allowlisted sites; anywhere else the student
+// has to confirm in the side panel first. Non-web pages are always refused.
+
+const ACTION_POLICY_KEY = 'actionPolicy';
+const DEFAULT_ACTION_ALLOWLIST = ['*.ucalgary.ca'];
+
+class ActionPolicy {
+  constructor(settings = {}) {
+    this.allowlist = Array.isArray(settings.allowlist) ? settings.allowlist : [...DEFAULT_ACTION_ALLOWLIST];
+  }
+
+  static async load() {
+    const result = await chrome.storage.local.get([ACTION_POLICY_KEY]);
+    return new ActionPolicy(result[ACTION_POLICY_KEY] || {});
+  }
+
+  async save() {
+    await chrome.storage.local.set({ [ACTION_POLICY_KEY]: this.toJSON() });
+  }
+
+  toJSON() {
+    return { allowlist: this.allowlist };
+  }
+
+  // "example.com" matches only that host, "*.example.com" the domain and its subdomains
+  static normalizePattern(pattern) {
+    return pattern.trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/\/.*$/, '');
+  }
+
+  static matches(pattern, hostname) {
+    const normalized = ActionPolicy.normalizePattern(pattern);
+    if (!normalized) return false;
+
+    if (normalized.startsWith('*.')) {
+      const domain = normalized.substring(2);
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === normalized;
+  }
+
+  isAllowlisted(hostname) {
+    return this.allowlist.some(pattern => ActionPolicy.matches(pattern, hostname));
+  }
+
+  async allow(hostname) {
+    if (this.isAllowlisted(hostname)) return;
+    this.allowlist.push(hostname);
+    await this.save();
+  }
+
+  // { decision: 'allow' | 'confirm' | 'block', host, reason }
+  evaluate(tool, url) {
+    if (!tool.mutates) {
+      return { decision: 'allow', host: null, reason: 'read-only' };
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { decision: 'block', host: null, reason: `${tool.name} needs a web page, but the tab has no URL` };
+    }
+
+    if (!/^https?:$/.test(parsed.protocol)) {
+      return { decision: 'block', host: null, reason: `${tool.name} only runs on web pages, not ${parsed.protocol} pages` };
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    if (this.isAllowlisted(host)) {
+      return { decision: 'allow', host, reason: 'allowlisted' };
+    }
+    return { decision: 'confirm', host, reason: `${host} is not on the allowlist` };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionPolicy;
+} else if (typeof self !== 'undefined') {
+  self.ActionPolicy = ActionPolicy;
+}
@@ -0,0 +1,107 @@
+// Audit Log - Bounded record of every tool call and page action
+// Written by the service worker for each mcpCall and each mcpPageAction it
+// sends to a frame; read by the side panel audit viewer. Entries are kept in
+// chrome.storage.local, newest first, and the oldest are dropped past the cap.
+// Form values are reduced to their keys so personal details never land here.
+
+const AUDIT_LOG_KEY = 'auditLog';
+const AUDIT_LOG_MAX_ENTRIES = 500;
+const AUDIT_LOG_MAX_STRING = 200;
+
+class AuditLog {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || AUDIT_LOG_MAX_ENTRIES;
+    // Writes are chained so parallel frame actions don't overwrite each other
+    this.pending = Promise.resolve();
+  }
+
+  async list() {
+    const result = await chrome.storage.local.get([AUDIT_LOG_KEY]);
+    return result[AUDIT_LOG_KEY] || [];
+  }
+
+  record(entry) {
+    const item = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+      timestamp: new Date().toISOString(),
+      ...entry,
+      params: AuditLog.sanitizeParams(entry.params)
+    };
+
+    this.pending = this.pending
+      .then(async () => {
+        const entries = await this.list();
+        entries.unshift(item);
+        await chrome.storage.local.set({ [AUDIT_LOG_KEY]: entries.slice(0, this.maxEntries) });
+      })
+      .catch(error => console.warn('Failed to write audit log:', error));
+
+    return this.pending;
+  }
+
+  async clear() {
+    await this.pending;
+    await chrome.storage.local.remove(AUDIT_LOG_KEY);
+  }
+
+  static sanitizeParams(params) {
+    if (!params || typeof params !== 'object') return params ?? null;
+
+    const sanitized = {};
+    Object.entries(params).forEach(([key, value]) => {
+      if (key === 'values' && value && typeof value === 'object') {
+        sanitized.values = Object.keys(value);
+      } else if (key === 'expectedChanges' && Array.isArray(value)) {
+        sanitized.expectedChanges = value.map(change => change.selector);
+      } else {
+        sanitized[key] = AuditLog.truncate(value);
+      }
+    });
+    return sanitized;
+  }
+
+  static truncate(value) {
+    if (typeof value === 'string') {
+      return value.length > AUDIT_LOG_MAX_STRING ? `${value.substring(0, AUDIT_LOG_MAX_STRING)}…` : value;
+    }
+    if (Array.isArray(value)) {
+      return value.slice(0, 20).map(item => AuditLog.truncate(item));
+    }
+    if (value && typeof value === 'object') {
+      return AuditLog.truncate(JSON.stringify(value));
+    }
+    return value;
+  }
+
+  // One line describing a result without storing page content
+  static summarize(result) {
+    if (result === undefined || result === null) return 'no result';
+    if (Array.isArray(result)) return `${result.length} items`;
+    if (typeof result !== 'object') return AuditLog.truncate(String(result));
+
+    if (result.clicked === false && result.ambiguous) {
+      return `not clicked: ${result.candidates?.length || 0} candidates`;
+    }
+    if (Array.isArray(result.changes)) {
+      const state = result.submitted ? 'submitted' : result.applied ? 'applied' : 'preview';
+      return `${result.changes.length} field changes, ${result.unmatched?.length || 0} unmatched (${state})`;
+    }
+    if (result.url || result.title) {
+      return AuditLog.truncate([result.title, result.url].filter(Boolean).join(' — '));
+    }
+
+    const parts = Object.entries(result).slice(0, 6).map(([key, value]) => {
+      if (Array.isArray(value)) return `${key}: ${value.length} items`;
+      if (typeof value === 'string') return `${key}: ${value.length > 40 ? `${value.length} chars` : value}`;
+      if (value && typeof value === 'object') return `${key}: {…}`;
+      return `${key}: ${value}`;
+    });
+    return parts.join(', ') || 'empty';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditLog;
+} else if (typeof self !== 'undefined') {
+  self.AuditLog = AuditLog;
+}
@@ -0,0 +1,295 @@
+// Content Extractor - Finds a page's main content, in the style of Readability
+// Loaded before content-script.js. Every paragraph-like block adds a score to
+// its ancestors for its length and commas; containers are weighted by tag and
+// class/id hints and discounted by link density. The best container, plus
+// siblings that score nearly as well, is the main content. Menus, banners,
+// cookie notices and footers are skipped while scoring and left out of the text.
+//
+// Result: { roots, selector, text, confidence, method } where roots are the
+// content elements and confidence (0-1) says how clearly one container won.
+
+// Blocks that are scored as paragraphs when they hold no other blocks
+const READABILITY_BLOCK_SELECTOR = 'p, pre, td, blockquote, li, dd, div, section';
+const READABILITY_NESTED_BLOCKS = 'p, pre, td, blockquote, li, dd, div, section, table, ul, ol, article';
+
+const READABILITY_BOILERPLATE_SELECTOR = [
+  'nav', 'header', 'footer', 'aside', 'script', 'style', 'noscript', 'template', 'iframe', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[role="search"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Matched against whole words of the class and id ("site-footer", "mainNav"),
+// so "metadata", "tooltip" or "omega" don't count. A negative word outweighs a
+// positive one: "main-nav" is a nav and "content-sidebar" a sidebar. Hidden
+// elements are left to the [hidden] selector and visibility checks.
+const READABILITY_POSITIVE_HINTS = /^(article|body|content|entry|hentry|main|page|post|text|blog|story|news|program|course)s?$/i;
+const READABILITY_NEGATIVE_HINTS = /^(banner|combx|comment|footer|footnote|masthead|meta|menu|mega|megamenu|nav|navbar|navigation|outbrain|promo|related|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tag|tool|widget|cookie|consent|gdpr|breadcrumb|social|modal|popup|newsletter|subscribe|skip)s?$/i;
+
+// Only the best raw scores are weighed for link density
+const READABILITY_TOP_CANDIDATES = 10;
+const READABILITY_MIN_BLOCK_TEXT = 25;
+const READABILITY_MIN_CONTENT_TEXT = 200;
+// Below this the main content is a guess, and callers shouldn't rely on it
+const READABILITY_MIN_CONFIDENCE = 0.5;
+
+class ContentExtractor {
+  constructor(selectors) {
+    this.selectors = selectors;
+    this.boilerplateCache = new Map();
+  }
+
+  extract() {
+    this.boilerplateCache = new Map();
+
+    const candidates = this.scoreCandidates();
+    const ranked = Array.from(candidates.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, READABILITY_TOP_CANDIDATES)
+      .map(([element, score]) => ({ element, score: score * (1 - this.linkDensity(element)) }))
+      .sort((a, b) => b.score - a.score);
+
+    const top = ranked[0];
+    if (!top || this.cleanText(top.element.innerText).length < READABILITY_MIN_CONTENT_TEXT) {
+      return this.fallback();
+    }
+
+    const roots = this.collectSiblings(top, candidates);
+    const text = roots.map(root => this.readableText(root)).filter(Boolean).join('\n\n');
+
+    return {
+      roots,
+      selector: this.selectors.generate(top.element),
+      text,
+      confidence: this.confidence(top, ranked, text),
+      method: 'scored'
+    };
+  }
+
+  // Paragraph scores go to the parent in full, the grandparent in half, and
+  // further ancestors divided by three times their distance
+  scoreCandidates() {
+    const candidates = new Map();
+
+    this.selectors.queryAll(READABILITY_BLOCK_SELECTOR).forEach(block => {
+      if (block.querySelector(READABILITY_NESTED_BLOCKS)) return;
+      if (this.insideBoilerplate(block)) return;
+
+      const text = this.cleanText(block.innerText);
+      if (text.length < READABILITY_MIN_BLOCK_TEXT) return;
+
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = block;
+      for (let level = 0; level < 5; level++) {
+        ancestor = this.parentOf(ancestor);
+        if (!ancestor || ancestor === document.documentElement) break;
+
+        if (!candidates.has(ancestor)) {
+          candidates.set(ancestor, this.initialScore(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        candidates.set(ancestor, candidates.get(ancestor) + score / divider);
+      }
+    });
+
+    return candidates;
+  }
+
+  initialScore(element) {
+    let score = 0;
+
+    switch (element.localName) {
+      case 'article':
+      case 'main':
+        score += 10;
+        break;
+      case 'div':
+        score += 5;
+        break;
+      case 'pre':
+      case 'td':
+      case 'blockquote':
+        score += 3;
+        break;
+      case 'ol':
+      case 'ul':
+      case 'dl':
+      case 'dd':
+      case 'dt':
+      case 'li':
+      case 'form':
+        score -= 3;
+        break;
+      default:
+        break;
+    }
+
+    if (element.getAttribute('role') === 'main') score += 10;
+    return score + this.hintWeight(element);
+  }
+
+  hintWeight(element) {
+    const words = this.hintWords(element);
+    if (words.length === 0) return 0;
+
+    if (words.some(word => READABILITY_NEGATIVE_HINTS.test(word))) return -25;
+    if (words.some(word => READABILITY_POSITIVE_HINTS.test(word))) return 25;
+    return 0;
+  }
+
+  // "site-footer mainNav" -> ['site', 'footer', 'main', 'nav']
+  hintWords(element) {
+    return `${element.getAttribute('class') || ''} ${element.id || ''}`
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .split(/[\s_-]+/)
+      .filter(Boolean);
+  }
+
+  // Siblings of the winner that score close to it, or read like paragraphs
+  collectSiblings(top, candidates) {
+    const parent = top.element.parentElement;
+    if (!parent) return [top.element];
+
+    const threshold = Math.max(10, top.score * 0.2);
+    return Array.from(parent.children).filter(sibling => {
+      if (sibling === top.element) return true;
+      if (this.isBoilerplate(sibling)) return false;
+
+      const score = candidates.has(sibling) ? candidates.get(sibling) * (1 - this.linkDensity(sibling)) : 0;
+      if (score >= threshold) return true;
+
+      if (sibling.localName === 'p') {
+        const text = this.cleanText(sibling.innerText);
+        const density = this.linkDensity(sibling);
+        return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+      }
+      return false;
+    });
+  }
+
+  // Length of the text, how few links it has and how far ahead of the best
+  // unrelated container it is
+  confidence(top, ranked, text) {
+    const rival = ranked.find(candidate =>
+      candidate !== top &&
+      !candidate.element.contains(top.element) &&
+      !top.element.contains(candidate.element)
+    );
+    const margin = rival && top.score > 0 ? Math.max(0, 1 - rival.score / top.score) : 1;
+    const lengthFactor = Math.min(1, text.length / 2000);
+    const linkFactor = 1 - this.linkDensity(top.element);
+
+    return Math.round((lengthFactor * 0.4 + linkFactor * 0.3 + margin * 0.3) * 100) / 100;
+  }
+
+  // Whole body without its boilerplate, for pages with no clear content block
+  fallback() {
+    const body = document.body;
+    const text = body ? this.readableText(body) : '';
+    return {
+      roots: body ? [body] : [],
+      selector: 'body',
+      text,
+      confidence: Math.round(Math.min(0.3, text.length / 5000) * 100) / 100,
+      method: 'fallback'
+    };
+  }
+
+  // innerText of an element without the boilerplate inside it. Only the
+  // ancestors of boilerplate are walked; everything else keeps its innerText.
+  readableText(root) {
+    const boilerplate = new Set(Array.from(root.querySelectorAll('*')).filter(element => this.isBoilerplate(element)));
+    const ancestors = new Set();
+    boilerplate.forEach(element => {
+      for (let current = element.parentElement; current && !ancestors.has(current); current = current.parentElement) {
+        ancestors.add(current);
+        if (current === root) break;
+      }
+    });
+
+    const textOf = element => {
+      if (boilerplate.has(element)) return '';
+      if (!ancestors.has(element)) return element.innerText || '';
+
+      return Array.from(element.childNodes).map(node => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+        return node.nodeType === Node.ELEMENT_NODE ? `\n${textOf(node)}\n` : '';
+      }).join('');
+    };
+
+    return textOf(root).replace(/[ \t]+\n/g, '\n').replace(/\n[ \t]+/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  // Semantic sections come only from the main content when it was found with
+  // confidence; otherwise anything that isn't boilerplate qualifies
+  isMainContent(element, result) {
+    if (this.insideBoilerplate(element)) return false;
+    if (!result || result.confidence < READABILITY_MIN_CONFIDENCE) return true;
+
+    return result.roots.some(root => root.contains(element) || element.contains(root));
+  }
+
+  isBoilerplate(element) {
+    if (element.matches(READABILITY_BOILERPLATE_SELECTOR)) {
+      // An article's own header and footer belong to it
+      if (/^(header|footer)$/.test(element.localName) && element.parentElement &&
+          element.parentElement.closest('article, main, [role="main"]')) {
+        return false;
+      }
+      return true;
+    }
+
+    // Only real content containers are exempt from their class names
+    if (element.matches('html, body, main, article, [role="main"]')) return false;
+
+    return this.hintWeight(element) < 0;
+  }
+
+  insideBoilerplate(element) {
+    const path = [];
+    let current = element;
+    let result = false;
+
+    while (current && current !== document.body) {
+      if (this.boilerplateCache.has(current)) {
+        result = this.boilerplateCache.get(current);
+        break;
+      }
+      path.push(current);
+      if (this.isBoilerplate(current)) {
+        result = true;
+        break;
+      }
+      current = this.parentOf(current);
+    }
+
+    path.forEach(node => this.boilerplateCache.set(node, result));
+    return result;
+  }
+
+  linkDensity(element) {
+    const length = this.cleanText(element.innerText).length;
+    if (length === 0) return 0;
+
+    const linkLength = Array.from(element.querySelectorAll('a'))
+      .reduce((sum, link) => sum + this.cleanText(link.innerText).length, 0);
+    return Math.min(1, linkLength / length);
+  }
+
+  // Parent element, continuing from a shadow root to its host
+  parentOf(element) {
+    if (element.parentElement) return element.parentElement;
+    const root = element.getRootNode();
+    return root && root.host ? root.host : null;
+  }
+
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContentExtractor;
+} else if (typeof window !== 'undefined') {
+  window.ContentExtractor = ContentExtractor;
+}
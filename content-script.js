@@ -3,6 +3,12 @@
 
 class ContentScript {
   constructor() {
+    this.selectors = new SelectorEngine();
+    this.formFiller = new FormFiller(this.selectors);
+    this.resolver = new ElementResolver(this.selectors);
+    this.tables = new TableExtractor(this.selectors);
+    this.readability = new ContentExtractor(this.selectors);
+    this.markdown = new MarkdownConverter(this.selectors, this.readability, this.tables);
     this.init();
   }
 
@@ -36,6 +42,9 @@ class ContentScript {
   }
 
   detectPage() {
+    // Subframes are extracted on demand; only the top frame reports page loads
+    if (window !== window.top) return;
+
     // Basic page detection logic
     const url = window.location.href;
     const title = document.title;
@@ -63,7 +72,7 @@ class ContentScript {
   }
 
   highlightElement(selector) {
-    const element = document.querySelector(selector);
+    const element = this.selectors.resolve(selector);
     if (element) {
       element.style.border = '2px solid #ff0000';
       element.style.backgroundColor = '#ffff00';
@@ -74,6 +83,35 @@ class ContentScript {
     }
   }
 
+  // Highlight a heading together with the content up to the next heading of
+  // the same or higher level, i.e. the passage a semantic section came from
+  highlightSection(element) {
+    const elements = [element];
+
+    if (/^H[1-6]$/.test(element.tagName)) {
+      const level = parseInt(element.tagName.substring(1));
+      let next = element.nextElementSibling;
+
+      while (next) {
+        if (/^H[1-6]$/.test(next.tagName) && parseInt(next.tagName.substring(1)) <= level) break;
+        elements.push(next);
+        next = next.nextElementSibling;
+      }
+    }
+
+    elements.forEach(el => {
+      el.style.outline = '2px solid #ff0000';
+      el.style.backgroundColor = '#ffff00';
+    });
+
+    setTimeout(() => {
+      elements.forEach(el => {
+        el.style.outline = '';
+        el.style.backgroundColor = '';
+      });
+    }, 3000);
+  }
+
   async handleMCPPageAction(data) {
     const { action, params } = data;
     console.log('MCP Page Action:', action, params);
@@ -90,6 +128,18 @@ class ContentScript {
           return this.getAllLinks(params);
         case 'extractFormFields':
           return this.extractFormFields(params);
+        case 'fillForm':
+          return this.formFiller.fill(params);
+        case 'findElements':
+          return this.resolver.find(params);
+        case 'extractTables':
+          return this.tables.extract(params);
+        case 'locateTableCell':
+          return this.tables.locateCell(params);
+        case 'extractMainContent':
+          return this.extractMainContent(params);
+        case 'extractMarkdown':
+          return this.markdown.convert(params);
         case 'waitForElement':
           return this.waitForElement(params);
         case 'getComputedStyle':
@@ -106,6 +156,8 @@ class ContentScript {
   extractStructuredData(params = {}) {
     const { includeImages = false, includeLinks = true, includeHeadings = true, enableSemanticProcessing = true } = params;
 
+    const mainContent = this.readability.extract();
+
     const data = {
       title: document.title,
       url: window.location.href,
@@ -113,10 +165,12 @@ class ContentScript {
       headings: includeHeadings ? this.extractHeadings() : [],
       links: includeLinks ? this.extractLinks() : [],
       images: includeImages ? this.extractImages() : [],
-      text: this.getMainTextContent(),
+      text: mainContent.text,
+      contentConfidence: mainContent.confidence,
+      mainContentSelector: mainContent.selector,
       forms: this.extractForms(),
-      tables: this.extractTables(),
-      semanticSections: enableSemanticProcessing ? this.extractSemanticSections() : []
+      tables: this.tables.extract(),
+      semanticSections: enableSemanticProcessing ? this.extractSemanticSections(mainContent) : []
     };
 
     return data;
@@ -130,12 +184,12 @@ class ContentScript {
   extractHeadings() {
     const headings = [];
     ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(tag => {
-      document.querySelectorAll(tag).forEach((heading, index) => {
+      this.selectors.queryAll(tag).forEach(heading => {
         headings.push({
           level: parseInt(tag.substring(1)),
           text: heading.innerText.trim(),
           id: heading.id,
-          selector: `${tag}:nth-of-type(${index + 1})`,
+          selector: this.getElementSelector(heading),
           rect: this.getElementRect(heading)
         });
       });
@@ -144,56 +198,51 @@ class ContentScript {
   }
 
   extractLinks() {
-    return Array.from(document.querySelectorAll('a[href]')).map((link, index) => ({
+    return this.selectors.queryAll('a[href]').map(link => ({
       text: link.innerText.trim(),
       href: link.href,
       title: link.title,
       target: link.target,
-      selector: `a[href]:nth-of-type(${index + 1})`,
+      selector: this.getElementSelector(link),
       rect: this.getElementRect(link)
     }));
   }
 
   extractImages() {
-    return Array.from(document.querySelectorAll('img')).map((img, index) => ({
+    return this.selectors.queryAll('img').map(img => ({
       src: img.src,
       alt: img.alt,
       title: img.title,
       width: img.width,
       height: img.height,
-      selector: `img:nth-of-type(${index + 1})`,
+      selector: this.getElementSelector(img),
       rect: this.getElementRect(img)
     }));
   }
 
-  getMainTextContent() {
-    // Try to find main content area
-    const mainSelectors = ['main', '[role="main"]', '.main-content', '#main', 'article'];
-    let mainElement = null;
-
-    for (const selector of mainSelectors) {
-      mainElement = document.querySelector(selector);
-      if (mainElement) break;
-    }
-
-    if (mainElement) {
-      return mainElement.innerText.trim();
-    }
-
-    // Fallback to body, but try to exclude navigation and footers
-    const excludeSelectors = ['nav', 'header', 'footer', '.nav', '.navigation', '.menu'];
-    let content = document.body.cloneNode(true);
+  // Main content without menus, banners and footers (see content-extractor.js),
+  // as plain text, or as Markdown with format: 'markdown'
+  extractMainContent(params = {}) {
+    const { maxLength = 20000, format = 'text' } = params;
+    const mainContent = this.readability.extract();
+    const text = format === 'markdown'
+      ? this.markdown.fromElements(mainContent.roots).markdown
+      : mainContent.text;
 
-    excludeSelectors.forEach(selector => {
-      const elements = content.querySelectorAll(selector);
-      elements.forEach(el => el.remove());
-    });
-
-    return content.innerText.trim();
+    return {
+      title: document.title,
+      url: window.location.href,
+      selector: mainContent.selector,
+      confidence: mainContent.confidence,
+      method: mainContent.method,
+      format: format === 'markdown' ? 'markdown' : 'text',
+      text: text.substring(0, maxLength),
+      truncated: text.length > maxLength
+    };
   }
 
   extractForms() {
-    return Array.from(document.querySelectorAll('form')).map((form, index) => ({
+    return this.selectors.queryAll('form').map(form => ({
       action: form.action,
       method: form.method,
       fields: Array.from(form.querySelectorAll('input, select, textarea')).map(field => ({
@@ -204,32 +253,17 @@ class ContentScript {
         placeholder: field.placeholder,
         value: field.value
       })),
-      selector: `form:nth-of-type(${index + 1})`
+      selector: this.getElementSelector(form)
     }));
   }
 
-  extractTables() {
-    return Array.from(document.querySelectorAll('table')).map((table, index) => {
-      const headers = Array.from(table.querySelectorAll('th')).map(th => th.innerText.trim());
-      const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
-        Array.from(tr.querySelectorAll('td')).map(td => td.innerText.trim())
-      );
-
-      return {
-        headers,
-        rows,
-        selector: `table:nth-of-type(${index + 1})`
-      };
-    });
-  }
-
   findSections(params = {}) {
     const { query } = params;
     const sections = [];
 
     if (query) {
-      // Search for text content
-      const allElements = document.querySelectorAll('*');
+      // Search for text content, including open shadow roots
+      const allElements = this.selectors.queryAll('*');
       for (const element of allElements) {
         if (element.innerText && element.innerText.toLowerCase().includes(query.toLowerCase())) {
           const rect = this.getElementRect(element);
@@ -245,7 +279,7 @@ class ContentScript {
       }
     } else {
       // Return main sections (headings and their following content)
-      const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+      const headings = this.selectors.queryAll('h1, h2, h3, h4, h5, h6');
       headings.forEach(heading => {
         let content = '';
         let nextElement = heading.nextElementSibling;
@@ -274,15 +308,27 @@ class ContentScript {
   }
 
   async scrollToSection(params) {
-    const { selector, x, y, behavior = 'smooth' } = params;
+    const { x, y, text, behavior = 'smooth', highlight = 'element' } = params;
+    let { selector } = params;
+
+    // Visible text instead of a selector: use the best matching element
+    if (!selector && text) {
+      const [best] = this.resolver.find({ text, limit: 1 });
+      if (!best) throw new Error(`Nothing on the page matches "${text}"`);
+      selector = best.selector;
+    }
 
     if (selector) {
-      const element = document.querySelector(selector);
+      const element = this.selectors.resolve(selector);
       if (element) {
         element.scrollIntoView({ behavior, block: 'center' });
 
-        // Highlight the scrolled element
-        this.highlightElement(selector);
+        // Highlight the scrolled element, or the whole passage under a heading
+        if (highlight === 'section') {
+          this.highlightSection(element);
+        } else {
+          this.highlightElement(selector);
+        }
 
         return { success: true, selector, scrolled: true };
       } else {
@@ -292,7 +338,7 @@ class ContentScript {
       window.scrollTo({ left: x, top: y, behavior });
       return { success: true, x, y, scrolled: true };
     } else {
-      throw new Error('Either selector or coordinates must be provided');
+      throw new Error('Either selector, text or coordinates must be provided');
     }
   }
 
@@ -313,14 +359,16 @@ class ContentScript {
   extractFormFields(params = {}) {
     const { formSelector } = params;
     const forms = formSelector ?
-      [document.querySelector(formSelector)] :
-      Array.from(document.querySelectorAll('form'));
+      [this.selectors.resolve(formSelector)] :
+      this.selectors.queryAll('form');
 
-    return forms.filter(Boolean).map((form, index) => ({
+    return forms.filter(Boolean).map(form => ({
       action: form.action,
       method: form.method,
       id: form.id,
+      selector: this.getElementSelector(form),
       fields: Array.from(form.querySelectorAll('input, select, textarea')).map(field => ({
+        selector: this.getElementSelector(field),
         name: field.name,
         type: field.type,
         id: field.id,
@@ -342,7 +390,7 @@ class ContentScript {
     const { selector, timeout = 5000 } = params;
 
     return new Promise((resolve, reject) => {
-      const element = document.querySelector(selector);
+      const element = this.selectors.resolve(selector);
       if (element) {
         resolve({
           found: true,
@@ -353,7 +401,7 @@ class ContentScript {
       }
 
       const observer = new MutationObserver((mutations, obs) => {
-        const element = document.querySelector(selector);
+        const element = this.selectors.resolve(selector);
         if (element) {
           obs.disconnect();
           resolve({
@@ -382,7 +430,7 @@ class ContentScript {
 
   getComputedStyle(params) {
     const { selector } = params;
-    const element = document.querySelector(selector);
+    const element = this.selectors.resolve(selector);
 
     if (!element) {
       throw new Error(`Element not found: ${selector}`);
@@ -417,19 +465,9 @@ class ContentScript {
     };
   }
 
+  // Verified unique selector, see selector-engine.js
   getElementSelector(element) {
-    if (element.id) return `#${element.id}`;
-    if (element.className) return `.${element.className.split(' ').join('.')}`;
-
-    // Generate a unique selector
-    const tagName = element.tagName.toLowerCase();
-    const parent = element.parentNode;
-    if (!parent) return tagName;
-
-    const siblings = Array.from(parent.children).filter(child => child.tagName === element.tagName);
-    const index = siblings.indexOf(element);
-
-    return `${tagName}:nth-of-type(${index + 1})`;
+    return this.selectors.generate(element);
   }
 
   getElementInfo(element) {
@@ -445,9 +483,11 @@ class ContentScript {
     };
   }
 
-  extractSemanticSections() {
+  // Sections outside the main content (menus, banners, footers) are skipped
+  extractSemanticSections(mainContent = this.readability.extract()) {
     const sections = [];
-    const contentBlocks = this.identifyContentBlocks();
+    const contentBlocks = this.identifyContentBlocks()
+      .filter(block => block.elements.some(element => this.readability.isMainContent(element, mainContent)));
 
     contentBlocks.forEach((block, index) => {
       const section = this.createSemanticSection(block, index);
@@ -464,7 +504,7 @@ class ContentScript {
     const processedElements = new Set();
 
     // Find major content sections
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    const headings = this.selectors.queryAll('h1, h2, h3, h4, h5, h6');
     headings.forEach(heading => {
       if (processedElements.has(heading)) return;
 
@@ -483,7 +523,7 @@ class ContentScript {
     ];
 
     semanticSelectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(element => {
+      this.selectors.queryAll(selector).forEach(element => {
         if (processedElements.has(element)) return;
 
         const block = this.extractContentBlock(element);
@@ -583,7 +623,7 @@ class ContentScript {
 
   findTextBlocks(processedElements) {
     const blocks = [];
-    const paragraphs = document.querySelectorAll('p, .paragraph, .text');
+    const paragraphs = this.selectors.queryAll('p, .paragraph, .text');
 
     paragraphs.forEach(p => {
       if (processedElements.has(p)) return;
@@ -624,7 +664,8 @@ class ContentScript {
       links: block.links || [],
       rect: this.getElementRect(block.elements[0]),
       level: block.level || 0,
-      content: this.extractContentForEmbedding(block)
+      content: this.extractContentForEmbedding(block),
+      markdown: this.markdown.fromElements(block.elements).markdown
     };
   }
 
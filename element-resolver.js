@@ -0,0 +1,248 @@
+// Element Resolver - Finds elements by what the user sees instead of CSS
+// Loaded before content-script.js. "click Apply now" is matched against each
+// candidate's accessible name (aria-labelledby, aria-label, label, alt, text),
+// visible text and title, with fuzzy matching for typos and partial names.
+// Hidden and disabled elements are kept but ranked down, so the caller can
+// tell "not there" from "there but not clickable".
+
+// Elements a user can act on, plus headings so text can also be a scroll target
+const RESOLVER_CANDIDATE_SELECTOR = [
+  'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary', 'label',
+  '[role]', '[onclick]', '[tabindex]:not([tabindex="-1"])', '[contenteditable="true"]',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+].join(', ');
+
+// Words that name a role at the end of a request: "the Apply now button"
+const RESOLVER_ROLE_WORDS = {
+  button: 'button',
+  link: 'link',
+  tab: 'tab',
+  checkbox: 'checkbox',
+  option: 'option',
+  menu: 'menuitem',
+  heading: 'heading',
+  field: 'textbox',
+  box: 'textbox'
+};
+
+const RESOLVER_MIN_SCORE = 0.4;
+
+class ElementResolver {
+  constructor(selectors) {
+    this.selectors = selectors;
+  }
+
+  // Ranked candidates for a text, best first
+  find(params = {}) {
+    const { limit = 5 } = params;
+    const query = this.parseQuery(params.text || '', params.role);
+    if (!query.text) {
+      throw new Error('Text to look for is required');
+    }
+
+    let candidates = [];
+    this.selectors.queryAll(RESOLVER_CANDIDATE_SELECTOR).forEach(element => {
+      const candidate = this.scoreElement(element, query);
+      if (candidate && candidate.score >= RESOLVER_MIN_SCORE) {
+        candidates.push(candidate);
+      }
+    });
+
+    candidates = this.dropWrappers(candidates);
+    candidates.sort((a, b) => b.score - a.score);
+
+    return candidates.slice(0, limit).map(candidate => this.describe(candidate));
+  }
+
+  parseQuery(text, role) {
+    let words = text.trim().replace(/^(the|a|an|on)\s+/i, '').replace(/^["']|["']$/g, '');
+    let roleHint = role || null;
+
+    const match = words.match(/^(.+?)\s+(\w+)$/);
+    if (!roleHint && match && RESOLVER_ROLE_WORDS[match[2].toLowerCase()]) {
+      roleHint = RESOLVER_ROLE_WORDS[match[2].toLowerCase()];
+      words = match[1];
+    }
+
+    return { text: this.normalize(words), role: roleHint };
+  }
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  scoreElement(element, query) {
+    const role = this.getRole(element);
+    const name = this.getAccessibleName(element);
+    const text = this.cleanText(element.innerText || '');
+    const title = element.getAttribute('title') || '';
+
+    let score = Math.max(
+      this.matchScore(name, query.text),
+      this.matchScore(text, query.text) * 0.95,
+      this.matchScore(title, query.text) * 0.8
+    );
+    if (score === 0) return null;
+
+    if (query.role) {
+      score = role === query.role ? Math.min(1, score + 0.1) : score * 0.6;
+    }
+
+    const visible = this.isVisible(element);
+    const disabled = element.disabled === true || element.getAttribute('aria-disabled') === 'true';
+    if (!visible) score *= 0.3;
+    if (disabled) score *= 0.5;
+
+    return { element, role, name: name || text.substring(0, 80), score, visible, disabled };
+  }
+
+  // 1 for an exact match, less for prefixes, contained phrases, shared words and near misses
+  matchScore(value, query) {
+    const normalized = this.normalize(value);
+    if (!normalized || !query) return 0;
+    if (normalized === query) return 1;
+
+    if (normalized.length <= query.length * 4) {
+      if (normalized.startsWith(query)) return 0.9;
+      if (` ${normalized} `.includes(` ${query} `)) return 0.8;
+    }
+
+    const queryWords = query.split(' ');
+    const valueWords = normalized.split(' ');
+    const shared = queryWords.filter(word => valueWords.some(other => other === word || this.similarity(other, word) >= 0.8));
+    const wordScore = (2 * shared.length) / (queryWords.length + valueWords.length);
+
+    const editScore = Math.abs(normalized.length - query.length) <= 3 ? this.similarity(normalized, query) : 0;
+
+    return Math.max(wordScore, editScore >= 0.75 ? editScore : 0) * 0.75;
+  }
+
+  // 1 - edit distance / length
+  similarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  getRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit.split(/\s+/)[0];
+
+    const tag = element.localName;
+    if (tag === 'a') return 'link';
+    if (tag === 'button' || tag === 'summary') return 'button';
+    if (tag === 'select') return 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'input') {
+      const type = (element.type || 'text').toLowerCase();
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (type === 'checkbox' || type === 'radio') return type;
+      return 'textbox';
+    }
+    return 'generic';
+  }
+
+  // Simplified accessible name computation
+  getAccessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById ? root.getElementById(id) : document.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.innerText)
+        .join(' ');
+      if (text.trim()) return this.cleanText(text);
+    }
+
+    if (element.getAttribute('aria-label')) {
+      return this.cleanText(element.getAttribute('aria-label'));
+    }
+
+    if (element.labels && element.labels.length > 0) {
+      return this.cleanText(element.labels[0].innerText);
+    }
+
+    if (element.localName === 'input' && ['button', 'submit', 'reset'].includes(element.type)) {
+      return this.cleanText(element.value);
+    }
+
+    if (element.localName === 'input' && element.type === 'image') {
+      return this.cleanText(element.alt);
+    }
+
+    const text = this.cleanText(element.innerText || '');
+    if (text) return text;
+
+    // Icon-only controls are often named by an image or an svg title
+    const image = element.querySelector('img[alt], svg title');
+    if (image) return this.cleanText(image.getAttribute('alt') || image.textContent);
+
+    return this.cleanText(element.getAttribute('placeholder') || '');
+  }
+
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  isVisible(element) {
+    if (typeof element.checkVisibility === 'function') {
+      if (!element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })) return false;
+    } else {
+      const style = window.getComputedStyle(element);
+      if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
+    }
+
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && !element.closest('[aria-hidden="true"]');
+  }
+
+  // A wrapper that only repeats its child's name (li[role] > a) is left out
+  dropWrappers(candidates) {
+    return candidates.filter(candidate => !candidates.some(other =>
+      other !== candidate &&
+      candidate.element.contains(other.element) &&
+      other.score >= candidate.score
+    ));
+  }
+
+  describe(candidate) {
+    const { element } = candidate;
+    const rect = element.getBoundingClientRect();
+
+    return {
+      selector: this.selectors.generate(element),
+      name: candidate.name,
+      role: candidate.role,
+      tagName: element.tagName,
+      href: element.href || null,
+      score: Math.round(candidate.score * 100) / 100,
+      visible: candidate.visible,
+      disabled: candidate.disabled,
+      rect: {
+        x: rect.x + window.scrollX,
+        y: rect.y + window.scrollY,
+        width: rect.width,
+        height: rect.height
+      }
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementResolver;
+} else if (typeof window !== 'undefined') {
+  window.ElementResolver = ElementResolver;
+}
@@ -0,0 +1,428 @@
+// Form Filler - Maps values to form fields and writes them like a user would
+// Loaded before content-script.js. A value's key can be a field selector, a
+// field name or id, label text, or a semantic key such as "email" or
+// "studentId" (see FORM_FIELD_SEMANTICS). fill() with preview: true only
+// reports the planned changes; the side panel shows them and asks for
+// confirmation before calling fill() again to write (and maybe submit). That
+// second call passes the previewed changes as expectedChanges and writes
+// nothing if the page would now get anything else. Password fields are never filled.
+
+// Semantic keys, matched against autocomplete tokens, input types and the
+// field's name, id, label and placeholder
+const FORM_FIELD_SEMANTICS = {
+  firstName: { autocomplete: ['given-name'], pattern: /first.?name|given.?name|fname|forename/i },
+  lastName: { autocomplete: ['family-name'], pattern: /last.?name|surname|family.?name|lname/i },
+  fullName: { autocomplete: ['name'], pattern: /^(full.?)?name$|your.?name/i },
+  email: { autocomplete: ['email'], types: ['email'], pattern: /e-?mail/i },
+  phone: { autocomplete: ['tel', 'tel-national'], types: ['tel'], pattern: /phone|mobile|cell|^tel/i },
+  studentId: { autocomplete: [], pattern: /student.?(id|number|no)|ucid|campus.?id/i },
+  program: { autocomplete: [], pattern: /program|major|degree|faculty/i },
+  birthDate: { autocomplete: ['bday'], pattern: /birth|dob/i },
+  address: { autocomplete: ['street-address', 'address-line1'], pattern: /address|street/i },
+  city: { autocomplete: ['address-level2'], pattern: /city|town/i },
+  province: { autocomplete: ['address-level1'], pattern: /province|state|region/i },
+  postalCode: { autocomplete: ['postal-code'], pattern: /postal|zip/i },
+  country: { autocomplete: ['country', 'country-name'], pattern: /country/i }
+};
+
+const FORM_SKIPPED_INPUT_TYPES = ['hidden', 'password', 'submit', 'button', 'reset', 'image'];
+const FORM_TRUE_VALUES = ['true', 'yes', 'y', 'on', '1', 'checked', 'x'];
+
+class FormFiller {
+  constructor(selectors) {
+    this.selectors = selectors;
+  }
+
+  // params.values: { key: value }; returns the plan, and what was applied
+  fill(params = {}) {
+    const { formSelector, values = {}, preview = false, submit = false, expectedChanges = null } = params;
+    const entries = Object.entries(values).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) {
+      throw new Error('No values to fill');
+    }
+
+    const form = this.findForm(formSelector, entries);
+    const plan = this.planChanges(form, entries);
+
+    const result = {
+      form: form === document.body ? null : this.selectors.generate(form),
+      changes: plan.changes.map(change => this.describeChange(change)),
+      unmatched: plan.unmatched,
+      submitButton: this.describeSubmitButton(form),
+      applied: false,
+      submitted: false
+    };
+
+    if (preview) return result;
+
+    if (expectedChanges && !this.matchesPreview(result.changes, expectedChanges)) {
+      throw new Error('The form changed after the preview, so nothing was filled. Review the changes again.');
+    }
+
+    plan.changes.forEach(change => this.applyChange(change));
+    result.applied = plan.changes.length > 0;
+
+    if (submit && form.tagName === 'FORM') {
+      const button = this.getSubmitButton(form);
+      if (typeof form.requestSubmit === 'function') {
+        form.requestSubmit(button || undefined);
+      } else if (button) {
+        button.click();
+      } else {
+        form.submit();
+      }
+      result.submitted = true;
+    }
+
+    return result;
+  }
+
+  // Same fields getting the same values, in the same order, as in the preview
+  matchesPreview(changes, expectedChanges) {
+    return changes.length === expectedChanges.length &&
+      changes.every((change, index) =>
+        change.selector === expectedChanges[index].selector && change.to === expectedChanges[index].to);
+  }
+
+  // The given form, or the form on the page that matches the most keys
+  findForm(formSelector, entries) {
+    if (formSelector) {
+      const form = this.selectors.resolve(formSelector);
+      if (!form) throw new Error(`Form not found: ${formSelector}`);
+      return form;
+    }
+
+    const forms = this.selectors.queryAll('form');
+    if (forms.length === 0) return document.body;
+    if (forms.length === 1) return forms[0];
+
+    let best = forms[0];
+    let bestCount = -1;
+    forms.forEach(form => {
+      const count = this.planChanges(form, entries).changes.length;
+      if (count > bestCount) {
+        best = form;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  // Fillable controls of a form; radio buttons and same-name checkboxes are grouped
+  getFields(form) {
+    const controls = form.tagName === 'FORM'
+      ? Array.from(form.elements)
+      : this.selectors.queryAll('input, select, textarea');
+    const fields = [];
+    const groups = new Map();
+
+    controls.forEach(element => {
+      if (!/^(INPUT|SELECT|TEXTAREA)$/.test(element.tagName)) return;
+      if (element.disabled || element.readOnly) return;
+
+      const type = element.tagName === 'INPUT' ? (element.type || 'text').toLowerCase() : element.tagName.toLowerCase();
+      if (FORM_SKIPPED_INPUT_TYPES.includes(type) || type === 'file') return;
+
+      if ((type === 'radio' || type === 'checkbox') && element.name) {
+        const key = `${type}:${element.name}`;
+        if (!groups.has(key)) {
+          const group = { type, elements: [], name: element.name, id: '', element };
+          groups.set(key, group);
+          fields.push(group);
+        }
+        groups.get(key).elements.push(element);
+        return;
+      }
+
+      fields.push({ type, element, elements: [element], name: element.name || '', id: element.id || '' });
+    });
+
+    fields.forEach(field => {
+      // A lone checkbox is a yes/no field, several with one name are a multi-choice
+      if (field.type === 'checkbox' && field.elements.length > 1) field.type = 'checkbox-group';
+      field.label = field.elements.length > 1 || field.type === 'radio'
+        ? this.getGroupLabel(field)
+        : this.getLabel(field.element);
+      field.autocomplete = (field.element.getAttribute('autocomplete') || '').toLowerCase();
+      field.placeholder = field.element.placeholder || '';
+    });
+
+    return fields;
+  }
+
+  getLabel(element) {
+    if (element.labels && element.labels.length > 0) {
+      return this.cleanText(element.labels[0].innerText);
+    }
+    if (element.getAttribute('aria-label')) {
+      return this.cleanText(element.getAttribute('aria-label'));
+    }
+
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById ? root.getElementById(id) : document.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.innerText)
+        .join(' ');
+      if (text.trim()) return this.cleanText(text);
+    }
+
+    return this.cleanText(element.placeholder || element.title || '');
+  }
+
+  getGroupLabel(field) {
+    const fieldset = field.element.closest('fieldset');
+    const legend = fieldset && fieldset.querySelector('legend');
+    if (legend && legend.innerText.trim()) return this.cleanText(legend.innerText);
+
+    const group = field.element.closest('[role="radiogroup"], [role="group"]');
+    if (group && group.getAttribute('aria-label')) return this.cleanText(group.getAttribute('aria-label'));
+
+    return field.name;
+  }
+
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').replace(/\s*\*\s*$/, '').trim();
+  }
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Best field for each key; every field is used at most once
+  planChanges(form, entries) {
+    const fields = this.getFields(form);
+    const used = new Set();
+    const changes = [];
+    const unmatched = [];
+
+    entries.forEach(([key, value]) => {
+      let best = null;
+      fields.forEach(field => {
+        if (used.has(field)) return;
+        const match = this.scoreField(field, key);
+        if (match && (!best || match.score > best.score)) {
+          best = { field, ...match };
+        }
+      });
+
+      if (!best) {
+        unmatched.push({ key, reason: 'No matching field' });
+        return;
+      }
+
+      const target = this.resolveTargetValue(best.field, value);
+      if (target.error) {
+        unmatched.push({ key, reason: target.error });
+        return;
+      }
+
+      used.add(best.field);
+      changes.push({ key, field: best.field, matchedBy: best.matchedBy, target });
+    });
+
+    return { changes, unmatched };
+  }
+
+  scoreField(field, key) {
+    if (/[#.[\]>=]/.test(key) && this.selectors.resolve(key) === field.element) {
+      return { score: 100, matchedBy: 'selector' };
+    }
+
+    const normalizedKey = this.normalize(key);
+    if (normalizedKey && (this.normalize(field.name) === normalizedKey || this.normalize(field.id) === normalizedKey)) {
+      return { score: 90, matchedBy: 'name' };
+    }
+
+    const label = this.normalize(field.label);
+    if (normalizedKey && label === normalizedKey) {
+      return { score: 80, matchedBy: 'label' };
+    }
+
+    const semantic = FORM_FIELD_SEMANTICS[key] ||
+      Object.values(FORM_FIELD_SEMANTICS).find(entry => entry.pattern.test(key));
+    if (semantic) {
+      if (semantic.autocomplete.includes(field.autocomplete.split(/\s+/).pop()) ||
+          (semantic.types || []).includes(field.type)) {
+        return { score: 70, matchedBy: 'semantics' };
+      }
+      if ([field.label, field.name, field.id, field.placeholder].some(text => text && semantic.pattern.test(text))) {
+        return { score: 50, matchedBy: 'semantics' };
+      }
+    }
+
+    if (normalizedKey.length >= 3 && label.includes(normalizedKey)) {
+      return { score: 40, matchedBy: 'label' };
+    }
+
+    return null;
+  }
+
+  // What the field should hold, in the form applyChange() writes
+  resolveTargetValue(field, value) {
+    switch (field.type) {
+      case 'checkbox':
+        return { checked: FORM_TRUE_VALUES.includes(String(value).toLowerCase()) };
+
+      case 'checkbox-group': {
+        const wanted = (Array.isArray(value) ? value : String(value).split(/\s*,\s*/)).map(item => this.normalize(item));
+        const checked = field.elements.filter(element =>
+          wanted.includes(this.normalize(element.value)) || wanted.includes(this.normalize(this.getLabel(element))));
+        if (checked.length === 0) return { error: 'No matching option' };
+        return { checked };
+      }
+
+      case 'radio': {
+        const option = this.pickOption(field.elements.map(element => ({
+          element,
+          value: element.value,
+          text: this.getLabel(element)
+        })), value);
+        if (!option) return { error: 'No matching option' };
+        return { element: option.element, text: option.text || option.value };
+      }
+
+      case 'select': {
+        const option = this.pickOption(Array.from(field.element.options).map(opt => ({
+          element: opt,
+          value: opt.value,
+          text: opt.text
+        })), value);
+        if (!option) return { error: 'No matching option' };
+        return { value: option.value, text: option.text };
+      }
+
+      case 'date': {
+        const date = this.toDateValue(value);
+        if (!date) return { error: 'Not a date' };
+        return { value: date, text: date };
+      }
+
+      default:
+        return { value: String(value), text: String(value) };
+    }
+  }
+
+  // Exact value or text first, then the first option whose text contains the value
+  pickOption(options, value) {
+    const wanted = this.normalize(value);
+    if (!wanted) return null;
+
+    return options.find(option => this.normalize(option.value) === wanted || this.normalize(option.text) === wanted) ||
+      options.find(option => this.normalize(option.text).includes(wanted)) ||
+      null;
+  }
+
+  // <input type="date"> only accepts YYYY-MM-DD
+  toDateValue(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return String(value);
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  getCurrentText(field) {
+    switch (field.type) {
+      case 'checkbox':
+        return field.element.checked ? 'checked' : 'unchecked';
+      case 'checkbox-group':
+        return field.elements.filter(element => element.checked).map(element => this.getLabel(element) || element.value).join(', ');
+      case 'radio': {
+        const selected = field.elements.find(element => element.checked);
+        return selected ? (this.getLabel(selected) || selected.value) : '';
+      }
+      default:
+        if (field.element.tagName === 'SELECT') {
+          const option = field.element.options[field.element.selectedIndex];
+          return option ? option.text : '';
+        }
+        return field.element.value;
+    }
+  }
+
+  describeChange(change) {
+    const { field, target } = change;
+    let to;
+    if (field.type === 'checkbox') {
+      to = target.checked ? 'checked' : 'unchecked';
+    } else if (field.type === 'checkbox-group') {
+      to = target.checked.map(element => this.getLabel(element) || element.value).join(', ');
+    } else {
+      to = target.text;
+    }
+
+    return {
+      key: change.key,
+      label: field.label || field.name || field.id,
+      type: field.type,
+      selector: this.selectors.generate(field.element),
+      from: this.getCurrentText(field),
+      to,
+      matchedBy: change.matchedBy
+    };
+  }
+
+  getSubmitButton(form) {
+    if (form.tagName !== 'FORM') return null;
+    return form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+  }
+
+  describeSubmitButton(form) {
+    const button = this.getSubmitButton(form);
+    if (!button) return null;
+    return {
+      text: this.cleanText(button.innerText || button.value),
+      selector: this.selectors.generate(button)
+    };
+  }
+
+  applyChange(change) {
+    const { field, target } = change;
+
+    switch (field.type) {
+      case 'checkbox':
+        this.setChecked(field.element, target.checked);
+        break;
+      case 'checkbox-group':
+        field.elements.forEach(element => this.setChecked(element, target.checked.includes(element)));
+        break;
+      case 'radio':
+        this.setChecked(target.element, true);
+        break;
+      default:
+        this.setValue(field.element, target.value);
+    }
+  }
+
+  // Go through the prototype setter so frameworks that track the value
+  // property (React, Vue) notice the change, then fire the events a user would
+  setValue(element, value) {
+    const prototype = element.tagName === 'SELECT' ? HTMLSelectElement.prototype
+      : element.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype
+        : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(element, value);
+    this.dispatchFieldEvents(element);
+  }
+
+  setChecked(element, checked) {
+    if (element.checked === checked) return;
+    Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked').set.call(element, checked);
+    this.dispatchFieldEvents(element);
+  }
+
+  dispatchFieldEvents(element) {
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormFiller;
+} else if (typeof window !== 'undefined') {
+  window.FormFiller = FormFiller;
+}
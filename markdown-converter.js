@@ -0,0 +1,303 @@
+// Markdown Converter - Turns page content into clean Markdown
+// Loaded before content-script.js. Headings, paragraphs, nested lists, links,
+// emphasis, code, quotes, images and tables (through TableExtractor, so spans
+// are expanded) become Markdown; boilerplate and hidden elements are skipped.
+// Each emitted block keeps the selector of the element it came from and the
+// line it starts on, so a passage in the Markdown can be found on the page.
+
+const MARKDOWN_BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+const MARKDOWN_SKIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'button',
+  'input', 'select', 'textarea', 'option', 'head', 'meta', 'link'
+]);
+
+class MarkdownConverter {
+  constructor(selectors, readability, tables) {
+    this.selectors = selectors;
+    this.readability = readability;
+    this.tables = tables;
+  }
+
+  // { title, url, source, markdown, truncated, blocks: [{ type, selector, line }] }
+  // params.selector converts one element; otherwise the main content, or the
+  // whole body when mainContent is false
+  convert(params = {}) {
+    const { selector, mainContent = true, blocks: includeBlocks = true, maxLength = 50000 } = params;
+
+    let roots;
+    let source;
+    if (selector) {
+      const element = this.selectors.resolve(selector);
+      if (!element) throw new Error(`Element not found: ${selector}`);
+      roots = [element];
+      source = 'selector';
+    } else if (mainContent) {
+      roots = this.readability.extract().roots;
+      source = 'main';
+    } else {
+      roots = [document.body];
+      source = 'page';
+    }
+
+    const result = this.fromElements(roots, { includeBlocks });
+    return {
+      title: document.title,
+      url: window.location.href,
+      source,
+      markdown: result.markdown.substring(0, maxLength),
+      truncated: result.markdown.length > maxLength,
+      blocks: includeBlocks ? result.blocks.filter(block => block.offset < maxLength).map(({ offset, ...block }) => block) : []
+    };
+  }
+
+  fromElements(elements, options = {}) {
+    const blocks = [];
+    elements.forEach(element => this.convertNode(element, blocks));
+
+    let markdown = '';
+    let line = 1;
+    const mapped = blocks.map(block => {
+      const entry = {
+        type: block.type,
+        selector: options.includeBlocks ? this.selectors.generate(block.element) : null,
+        line,
+        offset: markdown.length
+      };
+      markdown += `${block.markdown}\n\n`;
+      line += block.markdown.split('\n').length + 1;
+      return entry;
+    });
+
+    return { markdown: markdown.trim(), blocks: mapped };
+  }
+
+  // Block-level conversion; runs of inline content become paragraphs
+  convertNode(element, blocks) {
+    if (this.shouldSkip(element)) return;
+
+    const tag = element.localName;
+    const add = (type, markdown) => {
+      if (markdown && markdown.trim()) blocks.push({ type, element, markdown: markdown.trim() });
+    };
+
+    if (/^h[1-6]$/.test(tag)) {
+      add('heading', `${'#'.repeat(parseInt(tag.substring(1)))} ${this.inline(element)}`);
+    } else if (tag === 'p') {
+      add('paragraph', this.escapeLineStarts(this.inline(element)));
+    } else if (tag === 'ul' || tag === 'ol') {
+      add('list', this.list(element, ''));
+    } else if (tag === 'pre') {
+      add('code', this.codeBlock(element));
+    } else if (tag === 'blockquote') {
+      const inner = [];
+      this.convertChildren(element, inner);
+      add('quote', inner.map(block => block.markdown).join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    } else if (tag === 'table') {
+      add('table', this.table(element));
+    } else if (tag === 'hr') {
+      add('rule', '---');
+    } else if (tag === 'dl') {
+      add('list', this.definitionList(element));
+    } else if (tag === 'img') {
+      add('image', this.image(element));
+    } else if (tag === 'figcaption') {
+      add('caption', `*${this.inline(element)}*`);
+    } else if (this.hasBlockChildren(element)) {
+      this.convertChildren(element, blocks);
+    } else {
+      add('paragraph', this.escapeLineStarts(this.inline(element)));
+    }
+  }
+
+  convertChildren(element, blocks) {
+    let run = [];
+    const flush = () => {
+      const markdown = this.escapeLineStarts(this.cleanInline(run.map(node => this.inlineNode(node)).join('')));
+      if (markdown) blocks.push({ type: 'paragraph', element, markdown });
+      run = [];
+    };
+
+    this.childNodes(element).forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && this.isBlock(node)) {
+        flush();
+        this.convertNode(node, blocks);
+      } else {
+        run.push(node);
+      }
+    });
+    flush();
+  }
+
+  list(list, indent) {
+    const ordered = list.localName === 'ol';
+    const start = ordered && list.start ? list.start : 1;
+    const lines = [];
+
+    Array.from(list.children).filter(item => item.localName === 'li' && !this.shouldSkip(item)).forEach((item, index) => {
+      const marker = ordered ? `${start + index}.` : '-';
+      const nested = [];
+      const text = this.childNodes(item).map(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && (node.localName === 'ul' || node.localName === 'ol')) {
+          nested.push(node);
+          return ' ';
+        }
+        // Paragraphs inside an item are joined into its line
+        const inline = this.inlineNode(node);
+        return node.nodeType === Node.ELEMENT_NODE && this.isBlock(node) ? ` ${inline} ` : inline;
+      }).join('');
+
+      lines.push(`${indent}${marker} ${this.escapeLineStarts(this.cleanInline(text))}`);
+      nested.forEach(sublist => {
+        lines.push(this.list(sublist, indent + ' '.repeat(marker.length + 1)));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  definitionList(list) {
+    return Array.from(list.children).map(item => {
+      if (item.localName === 'dt') return `**${this.inline(item)}**`;
+      if (item.localName === 'dd') return `: ${this.inline(item)}`;
+      return '';
+    }).filter(Boolean).join('\n');
+  }
+
+  codeBlock(element) {
+    const code = element.querySelector('code') || element;
+    const language = ((code.className || '').match(/(?:language|lang)-([\w+-]+)/) || [])[1] || '';
+    const text = (element.innerText || element.textContent).replace(/\n$/, '');
+    const fence = text.includes('```') ? '~~~' : '```';
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+
+  table(element) {
+    const model = this.tables.buildModel(element, 0);
+    if (model.columnCount === 0) return '';
+
+    const caption = model.caption ? `**${model.caption}**\n\n` : '';
+    return caption + TableExtractor.toMarkdown(model);
+  }
+
+  image(element) {
+    const src = element.currentSrc || element.src;
+    if (!src || src.startsWith('data:')) return element.alt ? `[Image: ${element.alt}]` : '';
+    return `![${this.escape(element.alt || '')}](${this.url(src)})`;
+  }
+
+  inline(element) {
+    return this.cleanInline(this.childNodes(element).map(node => this.inlineNode(node)).join(''));
+  }
+
+  inlineNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.escape(node.textContent.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || this.shouldSkip(node)) return '';
+
+    const tag = node.localName;
+    const content = () => this.childNodes(node).map(child => this.inlineNode(child)).join('');
+
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'a': {
+        const text = this.cleanInline(content());
+        const href = node.href;
+        if (!text) return '';
+        if (!href || /^javascript:/i.test(href)) return text;
+        return `[${text}](${this.url(href)})`;
+      }
+      case 'strong':
+      case 'b':
+        return this.wrap(content(), '**');
+      case 'em':
+      case 'i':
+        return this.wrap(content(), '*');
+      case 'del':
+      case 's':
+        return this.wrap(content(), '~~');
+      case 'code':
+      case 'kbd':
+      case 'samp': {
+        const text = (node.textContent || '').replace(/\s+/g, ' ');
+        const tick = text.includes('`') ? '``' : '`';
+        return text.trim() ? `${tick}${text}${tick}` : '';
+      }
+      case 'img':
+        return this.image(node);
+      default:
+        return this.childNodes(node).map(child => this.inlineNode(child)).join('');
+    }
+  }
+
+  // Keep the spaces around emphasis outside the markers: "a **b** c"
+  wrap(text, marker) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!inner) return text;
+    return `${before}${marker}${inner}${marker}${after}`;
+  }
+
+  escape(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+  }
+
+  // Text that starts a line must not read as a heading, quote, list item or
+  // setext underline: "# 1", "> note", "- 5", "2024. A year", "---"
+  escapeLineStarts(text) {
+    return text.split('\n').map(line => line
+      .replace(/^(>|(?:#{1,6}|[+-])(?=\s|$))/, '\\$1')
+      .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2')
+      .replace(/^([=-]{2,}\s*)$/, '\\$1')
+    ).join('\n');
+  }
+
+  // Spaces, parentheses and angle brackets would end the link destination early
+  url(href) {
+    return href.replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  cleanInline(text) {
+    return text.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '  \n').trim();
+  }
+
+  // Slots are replaced by what is assigned to them; open shadow roots are entered
+  childNodes(element) {
+    const nodes = element.shadowRoot ? element.shadowRoot.childNodes : element.childNodes;
+    return Array.from(nodes).flatMap(node =>
+      node.localName === 'slot' ? Array.from(node.assignedNodes({ flatten: true })) : [node]
+    );
+  }
+
+  hasBlockChildren(element) {
+    return this.childNodes(element).some(node => node.nodeType === Node.ELEMENT_NODE && this.isBlock(node));
+  }
+
+  isBlock(element) {
+    if (MARKDOWN_BLOCK_TAGS.has(element.localName)) return true;
+    // Custom elements often wrap whole sections
+    return element.localName.includes('-') && this.hasBlockChildren(element);
+  }
+
+  shouldSkip(element) {
+    if (MARKDOWN_SKIP_TAGS.has(element.localName)) return true;
+    if (element === document.body || element === document.documentElement) return false;
+    if (this.readability.isBoilerplate(element)) return true;
+
+    if (typeof element.checkVisibility === 'function') {
+      return !element.checkVisibility({ checkVisibilityCSS: true });
+    }
+    return false;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownConverter;
+} else if (typeof window !== 'undefined') {
+  window.MarkdownConverter = MarkdownConverter;
+}
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+// MCP Bridge - Connects external MCP clients to the UofC ChatBot extension
+//
+// The same script runs in two roles:
+//   * Native host: Chrome starts it through chrome.runtime.connectNative
+//     (mcp-config.json). It speaks Chrome's length-prefixed native messaging
+//     on stdin/stdout and listens on a local socket for MCP servers.
+//   * MCP server: an MCP client (IDE, desktop app, agent) starts it with no
+//     arguments. It speaks MCP over newline-delimited JSON-RPC on stdio and
+//     forwards tool calls to the native host over the local socket.
+//
+// Chrome passes the calling extension's origin as the first argument, which
+// is how the script tells the two roles apart.
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const MCPTools = require('./mcp-tools.js');
+
+const BRIDGE_NAME = 'uofc-chatbot-mcp-bridge';
+const BRIDGE_VERSION = '1.0.0';
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+const TOOL_CALL_TIMEOUT = 60000;
+
+// The Unix socket lives in a directory only this user can enter: the session's
+// $XDG_RUNTIME_DIR, or ~/.uofc-chatbot (mode 0700). A shared directory such as
+// /tmp would let another user create the socket first.
+const SOCKET_DIR = process.env.XDG_RUNTIME_DIR || path.join(os.homedir(), '.uofc-chatbot');
+const SOCKET_PATH = process.env.UOFC_MCP_SOCKET || (process.platform === 'win32'
+  ? '\\\\.\\pipe\\uofc-chatbot-mcp'
+  : path.join(SOCKET_DIR, 'uofc-chatbot-mcp.sock'));
+
+// Logs go to stderr: stdout carries protocol traffic in both roles
+function log(...args) {
+  console.error(`[${BRIDGE_NAME}]`, ...args);
+}
+
+// Splits a byte stream into newline-delimited JSON messages
+function createLineParser(onMessage) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      try {
+        onMessage(JSON.parse(line));
+      } catch (error) {
+        log('Dropping malformed JSON line:', error.message);
+      }
+    }
+  };
+}
+
+// Create the private socket directory when it is ours to create
+function ensureSocketDirectory() {
+  if (process.platform === 'win32' || process.env.UOFC_MCP_SOCKET || process.env.XDG_RUNTIME_DIR) return;
+
+  fs.mkdirSync(SOCKET_DIR, { recursive: true, mode: 0o700 });
+  const stat = fs.statSync(SOCKET_DIR);
+  if (stat.uid !== process.getuid()) {
+    throw new Error(`${SOCKET_DIR} belongs to another user`);
+  }
+  if ((stat.mode & 0o077) !== 0) {
+    fs.chmodSync(SOCKET_DIR, 0o700);
+  }
+}
+
+// Only a socket this user created is connected to or removed
+function isOwnSocket(file) {
+  if (process.platform === 'win32') return true;
+  try {
+    const stat = fs.lstatSync(file);
+    return stat.isSocket() && stat.uid === process.getuid();
+  } catch (error) {
+    return false;
+  }
+}
+
+function writeLine(stream, message) {
+  stream.write(JSON.stringify(message) + '\n');
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+class NativeHost {
+  constructor() {
+    this.inputBuffer = Buffer.alloc(0);
+    this.extensionReady = false;
+    this.nextId = 1;
+    // host request id -> { socket, clientId }
+    this.pending = new Map();
+    this.server = null;
+  }
+
+  start() {
+    process.stdin.on('data', (chunk) => this.handleStdinData(chunk));
+    process.stdin.on('end', () => this.shutdown('Chrome closed the native messaging port'));
+    this.listen();
+  }
+
+  // Chrome native messaging: 32-bit length in native byte order, then UTF-8 JSON
+  handleStdinData(chunk) {
+    this.inputBuffer = Buffer.concat([this.inputBuffer, chunk]);
+
+    while (this.inputBuffer.length >= 4) {
+      const length = this.inputBuffer.readUInt32LE(0);
+      if (this.inputBuffer.length < 4 + length) break;
+
+      const body = this.inputBuffer.subarray(4, 4 + length).toString('utf8');
+      this.inputBuffer = this.inputBuffer.subarray(4 + length);
+
+      try {
+        this.handleExtensionMessage(JSON.parse(body));
+      } catch (error) {
+        log('Failed to parse message from extension:', error.message);
+      }
+    }
+  }
+
+  sendToExtension(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(body.length, 0);
+    process.stdout.write(Buffer.concat([header, body]));
+  }
+
+  handleExtensionMessage(message) {
+    // The extension opens the session with an MCP-style handshake
+    if (message.method === 'initialize') {
+      this.sendToExtension({
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: MCP_PROTOCOL_VERSION,
+          capabilities: {},
+          serverInfo: { name: BRIDGE_NAME, version: BRIDGE_VERSION }
+        }
+      });
+      return;
+    }
+
+    if (message.method === 'notifications/initialized') {
+      this.extensionReady = true;
+      log('Extension session ready');
+      return;
+    }
+
+    if (message.method === 'ping' && message.id !== undefined) {
+      this.sendToExtension({ jsonrpc: '2.0', id: message.id, result: {} });
+      return;
+    }
+
+    if (message.method !== undefined) {
+      if (message.id !== undefined) {
+        this.sendToExtension(rpcError(message.id, -32601, `Method not found: ${message.method}`));
+      }
+      return;
+    }
+
+    // Response to a request we forwarded on behalf of an MCP server
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      log('Response for unknown request id:', message.id);
+      return;
+    }
+    this.pending.delete(message.id);
+
+    if (!pending.socket.destroyed) {
+      writeLine(pending.socket, { ...message, id: pending.clientId });
+    }
+  }
+
+  listen() {
+    this.server = net.createServer((socket) => this.handleSocket(socket));
+
+    this.server.on('error', (error) => {
+      if (error.code !== 'EADDRINUSE') {
+        log('Socket server error:', error.message);
+        return;
+      }
+
+      // Another host may still own the socket, or it is a stale file
+      const probe = net.connect(SOCKET_PATH);
+      probe.on('connect', () => {
+        probe.end();
+        log('Another native host is already listening on', SOCKET_PATH);
+        this.shutdown('Socket in use');
+      });
+      probe.on('error', () => {
+        if (process.platform !== 'win32') {
+          if (!isOwnSocket(SOCKET_PATH)) {
+            log('Not removing', SOCKET_PATH, '- it is not a socket owned by this user');
+            this.shutdown('Socket path taken');
+            return;
+          }
+          try {
+            fs.unlinkSync(SOCKET_PATH);
+          } catch (unlinkError) {
+            log('Failed to remove stale socket:', unlinkError.message);
+          }
+        }
+        this.server.listen(SOCKET_PATH);
+      });
+    });
+
+    this.server.on('listening', () => {
+      if (process.platform !== 'win32') {
+        fs.chmodSync(SOCKET_PATH, 0o600);
+      }
+      log('Listening for MCP servers on', SOCKET_PATH);
+    });
+
+    try {
+      ensureSocketDirectory();
+    } catch (error) {
+      log('Cannot create the socket directory:', error.message);
+      this.shutdown('No socket directory');
+      return;
+    }
+    this.server.listen(SOCKET_PATH);
+  }
+
+  handleSocket(socket) {
+    socket.on('data', createLineParser((message) => {
+      if (message.method === undefined || message.id === undefined) return;
+
+      if (!this.extensionReady) {
+        writeLine(socket, rpcError(message.id, -32000, 'Extension is not connected'));
+        return;
+      }
+
+      const id = this.nextId++;
+      this.pending.set(id, { socket, clientId: message.id });
+      this.sendToExtension({ jsonrpc: '2.0', id, method: message.method, params: message.params });
+    }));
+
+    socket.on('close', () => {
+      this.pending.forEach((pending, id) => {
+        if (pending.socket === socket) this.pending.delete(id);
+      });
+    });
+
+    socket.on('error', (error) => log('MCP server socket error:', error.message));
+  }
+
+  shutdown(reason) {
+    log('Shutting down native host:', reason);
+    if (this.server) {
+      this.server.close();
+    }
+    process.exit(0);
+  }
+}
+
+class MCPServer {
+  constructor() {
+    this.socket = null;
+    this.connecting = null;
+    this.nextId = 1;
+    // socket request id -> { resolve, reject, timer }
+    this.pending = new Map();
+  }
+
+  start() {
+    process.stdin.on('data', createLineParser((message) => this.handleClientMessage(message)));
+    process.stdin.on('end', () => process.exit(0));
+  }
+
+  send(message) {
+    writeLine(process.stdout, message);
+  }
+
+  async handleClientMessage(message) {
+    const { id, method, params = {} } = message;
+    if (method === undefined) return;
+
+    const isNotification = id === undefined;
+
+    try {
+      let result;
+
+      switch (method) {
+        case 'initialize':
+          result = {
+            protocolVersion: params.protocolVersion || MCP_PROTOCOL_VERSION,
+            capabilities: { tools: {} },
+            serverInfo: { name: BRIDGE_NAME, version: BRIDGE_VERSION }
+          };
+          break;
+        case 'ping':
+          result = {};
+          break;
+        case 'tools/list':
+          result = { tools: MCPTools.list() };
+          break;
+        case 'tools/call':
+          result = await this.callTool(params);
+          break;
+        default:
+          if (!isNotification) this.send(rpcError(id, -32601, `Method not found: ${method}`));
+          return;
+      }
+
+      if (!isNotification) this.send({ jsonrpc: '2.0', id, result });
+    } catch (error) {
+      if (!isNotification) this.send(rpcError(id, error.code || -32603, error.message));
+    }
+  }
+
+  async callTool(params) {
+    const { name, arguments: args = {} } = params;
+
+    if (!MCPTools.get(name)) {
+      const error = new Error(`Unknown tool: ${name}`);
+      error.code = -32602;
+      throw error;
+    }
+
+    try {
+      return await this.forward('tools/call', { name, arguments: args });
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Browser extension unavailable: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  async forward(method, params) {
+    const socket = await this.ensureSocket();
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Timed out waiting for ${method}`));
+      }, TOOL_CALL_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timer });
+      writeLine(socket, { jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  ensureSocket() {
+    if (this.socket && !this.socket.destroyed) return Promise.resolve(this.socket);
+    if (this.connecting) return this.connecting;
+
+    if (fs.existsSync(SOCKET_PATH) && !isOwnSocket(SOCKET_PATH)) {
+      return Promise.reject(new Error(`${SOCKET_PATH} is not a socket owned by this user`));
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.connect(SOCKET_PATH);
+
+      socket.once('connect', () => {
+        this.socket = socket;
+        this.connecting = null;
+        resolve(socket);
+      });
+
+      socket.on('error', (error) => {
+        if (this.socket === socket) {
+          log('Native host socket error:', error.message);
+          return;
+        }
+        this.connecting = null;
+        reject(new Error(`Native host is not running (${error.message}). Open Chrome with the extension installed.`));
+      });
+
+      socket.on('data', createLineParser((message) => this.handleHostMessage(message)));
+      socket.on('close', () => {
+        this.socket = null;
+        this.pending.forEach(({ reject: rejectPending, timer }) => {
+          clearTimeout(timer);
+          rejectPending(new Error('Native host closed the connection'));
+        });
+        this.pending.clear();
+      });
+    });
+
+    return this.connecting;
+  }
+
+  handleHostMessage(message) {
+    const pending = this.pending.get(message.id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      pending.reject(new Error(message.error.message));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+}
+
+const launchedByChrome = process.argv.slice(2).some(arg => arg.startsWith('chrome-extension://'));
+
+if (launchedByChrome) {
+  new NativeHost().start();
+} else {
+  new MCPServer().start();
+}
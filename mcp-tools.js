@@ -0,0 +1,345 @@
+// Shared MCP tool definitions
+// Used by the service worker (to execute tools) and by mcp-bridge.js (to
+// answer tools/list), so both sides always agree on names and schemas.
+
+// Every tool that reads or acts on a page accepts an optional tab; without it
+// the active tab of the current window is used
+const MCP_TAB_ID_PARAM = {
+  tabId: { type: 'number', description: 'Id of the tab to use (from browser_listTabs); defaults to the active tab' }
+};
+
+// Tools marked mutates: true change a page or the browser; the service
+// worker checks them against the action policy (see action-policy.js)
+const MCP_TOOL_DEFINITIONS = [
+  // Browser-level tools, executed by the service worker
+  {
+    name: 'browser_navigate',
+    target: 'browser',
+    mutates: true,
+    description: 'Navigate the active tab to a URL',
+    params: {
+      url: { type: 'string', description: 'Absolute URL to open', required: true },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'browser_getPageContent',
+    target: 'browser',
+    description: 'Get the title, URL, visible text and Markdown of the active tab, and its HTML when asked for',
+    params: {
+      includeHtml: { type: 'boolean', description: 'Also return the full page HTML (default false)' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'browser_findElement',
+    target: 'browser',
+    description: 'Find the first element matching a CSS selector and return its text and position',
+    params: {
+      selector: { type: 'string', description: 'CSS selector', required: true },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'browser_scrollTo',
+    target: 'browser',
+    description: 'Scroll the active tab to an element or to page coordinates',
+    params: {
+      selector: { type: 'string', description: 'CSS selector of the element to scroll into view' },
+      x: { type: 'number', description: 'Horizontal page offset in pixels' },
+      y: { type: 'number', description: 'Vertical page offset in pixels' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'browser_click',
+    target: 'browser',
+    mutates: true,
+    description: 'Click an element given by CSS selector, or by its visible text or accessible name. ' +
+      'Reports clicked: false when nothing matched, and lists the candidates when the text is ambiguous.',
+    params: {
+      selector: { type: 'string', description: 'CSS selector of the element to click' },
+      text: { type: 'string', description: 'Visible text or accessible name, e.g. "Apply now"' },
+      role: { type: 'string', description: 'Expected role when clicking by text, e.g. button or link' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'browser_getLinks',
+    target: 'browser',
+    description: 'List every link on the active tab',
+    params: {
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'browser_listTabs',
+    target: 'browser',
+    description: 'List the open tabs with their ids, titles and URLs; the active tab is marked',
+    params: {
+      currentWindow: { type: 'boolean', description: 'Only list tabs of the current window (default true)' }
+    }
+  },
+  {
+    name: 'browser_switchTab',
+    target: 'browser',
+    description: 'Bring a tab to the front',
+    params: {
+      tabId: { type: 'number', description: 'Id of the tab to activate', required: true }
+    }
+  },
+  {
+    name: 'browser_openTab',
+    target: 'browser',
+    mutates: true,
+    description: 'Open a URL in a new tab',
+    params: {
+      url: { type: 'string', description: 'Absolute URL to open', required: true },
+      active: { type: 'boolean', description: 'Switch to the new tab (default false)' }
+    }
+  },
+  {
+    name: 'browser_closeTab',
+    target: 'browser',
+    mutates: true,
+    description: 'Close a tab',
+    params: {
+      tabId: { type: 'number', description: 'Id of the tab to close', required: true }
+    }
+  },
+
+  // Page-level tools, executed by the content script as mcpPageAction.
+  // allFrames tools run in every frame of the tab and their results are merged;
+  // the others run in the frame named by the selector (the top frame by default).
+  {
+    name: 'page_extractStructuredData',
+    target: 'page',
+    action: 'extractStructuredData',
+    allFrames: true,
+    description: 'Extract headings, links, forms, tables, main text and semantic sections from the page',
+    params: {
+      includeImages: { type: 'boolean', description: 'Include images in the result' },
+      includeLinks: { type: 'boolean', description: 'Include links in the result' },
+      includeHeadings: { type: 'boolean', description: 'Include headings in the result' },
+      enableSemanticProcessing: { type: 'boolean', description: 'Split the page into semantic sections' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_extractMainContent',
+    target: 'page',
+    action: 'extractMainContent',
+    description: 'Get the main text of the page without menus, banners, cookie notices and footers, with a confidence score',
+    params: {
+      maxLength: { type: 'number', description: 'Maximum characters of text (default 20000)' },
+      format: { type: 'string', description: 'Plain text (default) or Markdown', enum: ['text', 'markdown'] },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_extractMarkdown',
+    target: 'page',
+    action: 'extractMarkdown',
+    description: 'Convert the page, its main content or one element to Markdown, with the selector of the element behind each block',
+    params: {
+      selector: { type: 'string', description: 'Element to convert instead of the page' },
+      mainContent: { type: 'boolean', description: 'Only the main content, without menus and footers (default true)' },
+      blocks: { type: 'boolean', description: 'Include the block-to-selector map (default true)' },
+      maxLength: { type: 'number', description: 'Maximum characters of Markdown (default 50000)' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_findSections',
+    target: 'page',
+    action: 'findSections',
+    allFrames: true,
+    description: 'Find page sections containing text, or list heading sections when no query is given',
+    params: {
+      query: { type: 'string', description: 'Text to search for' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_extractTables',
+    target: 'page',
+    action: 'extractTables',
+    allFrames: true,
+    description: 'Extract tables with spans expanded, one header label per column, row header columns and the caption',
+    params: {
+      selector: { type: 'string', description: 'CSS selector of a single table; all tables when omitted' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_locateTableCell',
+    target: 'page',
+    action: 'locateTableCell',
+    description: 'Get the selector of a body cell of a table from page_extractTables, by 0-based row and column',
+    params: {
+      selector: { type: 'string', description: 'Selector of the table', required: true },
+      row: { type: 'number', description: 'Body row index', required: true },
+      column: { type: 'number', description: 'Column index', required: true },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_scrollToSection',
+    target: 'page',
+    action: 'scrollToSection',
+    description: 'Scroll to and highlight an element, or scroll to page coordinates',
+    params: {
+      selector: { type: 'string', description: 'CSS selector of the section' },
+      text: { type: 'string', description: 'Visible text of the target, used when no selector is given' },
+      x: { type: 'number', description: 'Horizontal page offset in pixels' },
+      y: { type: 'number', description: 'Vertical page offset in pixels' },
+      behavior: { type: 'string', description: 'Scroll behavior', enum: ['smooth', 'auto'] },
+      highlight: { type: 'string', description: 'Highlight only the element, or the whole section under a heading', enum: ['element', 'section'] },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_getAllLinks',
+    target: 'page',
+    action: 'getAllLinks',
+    allFrames: true,
+    description: 'List links on the page with their selectors, optionally filtered by text or URL',
+    params: {
+      filter: { type: 'string', description: 'Only return links whose text or URL contains this' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_extractFormFields',
+    target: 'page',
+    action: 'extractFormFields',
+    allFrames: true,
+    description: 'List forms with their fields, options and submit buttons',
+    params: {
+      formSelector: { type: 'string', description: 'CSS selector of a single form' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_findElements',
+    target: 'page',
+    action: 'findElements',
+    allFrames: true,
+    description: 'Find elements by visible text or accessible name, ranked by match score, with their selectors and roles',
+    params: {
+      text: { type: 'string', description: 'Text to look for, e.g. "Apply now" or "Apply now button"', required: true },
+      role: { type: 'string', description: 'Only prefer elements with this role (button, link, checkbox, ...)' },
+      limit: { type: 'number', description: 'Maximum candidates per frame (default 5)' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_fillForm',
+    target: 'page',
+    mutates: true,
+    action: 'fillForm',
+    description: 'Fill a form: values are matched to fields by selector, name, label or meaning (firstName, email, studentId, ...). ' +
+      'The student reviews the changes and confirms before anything is written or submitted.',
+    params: {
+      values: { type: 'object', description: 'Field values keyed by field name, label, selector or semantic key', required: true },
+      formSelector: { type: 'string', description: 'CSS selector of the form; defaults to the form that matches the most values' },
+      submit: { type: 'boolean', description: 'Offer to submit the form after filling it' },
+      useProfile: { type: 'boolean', description: 'Also use the values saved in the student profile' },
+      preview: { type: 'boolean', description: 'Only report the planned changes' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_waitForElement',
+    target: 'page',
+    action: 'waitForElement',
+    description: 'Wait until an element matching a selector appears on the page',
+    params: {
+      selector: { type: 'string', description: 'CSS selector to wait for', required: true },
+      timeout: { type: 'number', description: 'Maximum wait in milliseconds (default 5000)' },
+      ...MCP_TAB_ID_PARAM
+    }
+  },
+  {
+    name: 'page_getComputedStyle',
+    target: 'page',
+    action: 'getComputedStyle',
+    description: 'Get the main computed styles and position of an element',
+    params: {
+      selector: { type: 'string', description: 'CSS selector of the element', required: true },
+      ...MCP_TAB_ID_PARAM
+    }
+  }
+];
+
+const MCPTools = {
+  definitions: MCP_TOOL_DEFINITIONS,
+
+  get(name) {
+    return MCP_TOOL_DEFINITIONS.find(tool => tool.name === name) || null;
+  },
+
+  getByAction(action) {
+    return MCP_TOOL_DEFINITIONS.find(tool => tool.target === 'page' && tool.action === action) || null;
+  },
+
+  buildInputSchema(tool) {
+    const properties = {};
+    const required = [];
+
+    Object.entries(tool.params).forEach(([name, param]) => {
+      const { required: isRequired, ...schema } = param;
+      properties[name] = schema;
+      if (isRequired) required.push(name);
+    });
+
+    const schema = { type: 'object', properties };
+    if (required.length > 0) schema.required = required;
+    return schema;
+  },
+
+  // fillForm results as the model and MCP clients see them: field labels and
+  // counts only. Current page values and profile values are shown to the
+  // student in the preview and never leave the side panel.
+  redactFormFill(result) {
+    if (!result || !Array.isArray(result.changes)) return result;
+
+    const { changes, unmatched = [], ...rest } = result;
+    return {
+      ...rest,
+      changeCount: changes.length,
+      changes: changes.map(change => ({ key: change.key, label: change.label, type: change.type, matchedBy: change.matchedBy })),
+      unmatched: unmatched.map(entry => ({ key: entry.key, reason: entry.reason }))
+    };
+  },
+
+  // Tool list in the shape MCP tools/list expects
+  list() {
+    return MCP_TOOL_DEFINITIONS.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: this.buildInputSchema(tool)
+    }));
+  },
+
+  // Tool list in the shape OpenAI-compatible chat completions expect
+  toOpenAITools(names) {
+    return names
+      .map(name => this.get(name))
+      .filter(Boolean)
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: this.buildInputSchema(tool)
+        }
+      }));
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MCPTools;
+} else if (typeof self !== 'undefined') {
+  self.MCPTools = MCPTools;
+}
@@ -0,0 +1,269 @@
+// Selector Engine - Builds selectors that identify exactly one element
+// Loaded before content-script.js. Selectors are verified with
+// querySelectorAll(selector).length === 1 before they are handed out; when no
+// CSS selector is unique, an XPath ("xpath=/html/body/...") or a data-attribute
+// handle is used instead. resolve() understands all three forms.
+//
+// Elements inside open shadow roots get a path through their hosts, joined
+// with " >>> " (host selector >>> selector inside the shadow root). A leading
+// "frame=<frameId> >>> " segment is added by the service worker for elements
+// in subframes; the content script of that frame ignores it.
+
+const SELECTOR_HANDLE_ATTRIBUTE = 'data-uofc-ref';
+const SELECTOR_XPATH_PREFIX = 'xpath=';
+const SELECTOR_FRAME_PREFIX = 'frame=';
+const SELECTOR_PIERCE_SEPARATOR = ' >>> ';
+
+// Attributes that usually identify an element across page loads
+const SELECTOR_STABLE_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'name', 'aria-label', 'for', 'href', 'title', 'alt'];
+
+let selectorHandleCounter = 0;
+
+class SelectorEngine {
+  constructor(root = document) {
+    this.root = root;
+  }
+
+  // Element for a selector produced by generate(), or null
+  resolve(selector) {
+    if (!selector) return null;
+
+    const parts = SelectorEngine.splitPath(selector).filter(part => !part.startsWith(SELECTOR_FRAME_PREFIX));
+    if (parts.length > 1) {
+      // Walk through each shadow host in turn
+      let element = this.resolve(parts[0]);
+      for (const part of parts.slice(1)) {
+        if (!element || !element.shadowRoot) return null;
+        element = new SelectorEngine(element.shadowRoot).resolve(part);
+      }
+      return element;
+    }
+    selector = parts[0];
+    if (!selector) return null;
+
+    if (selector.startsWith(SELECTOR_XPATH_PREFIX)) {
+      // XPath cannot see into shadow trees, so it is only used at document level
+      if (this.root !== document) return null;
+      try {
+        const result = document.evaluate(
+          selector.substring(SELECTOR_XPATH_PREFIX.length),
+          document,
+          null,
+          XPathResult.FIRST_ORDERED_NODE_TYPE,
+          null
+        );
+        return result.singleNodeValue;
+      } catch (error) {
+        console.warn('Invalid XPath selector:', selector);
+        return null;
+      }
+    }
+
+    try {
+      return this.root.querySelector(selector);
+    } catch (error) {
+      console.warn('Invalid CSS selector:', selector);
+      return null;
+    }
+  }
+
+  // "host >>> inner" -> ['host', 'inner']; a " >>> " inside quotes, brackets or
+  // parentheses ([aria-label="a >>> b"], :is(...)) is part of the selector
+  static splitPath(selector) {
+    const parts = [];
+    let quote = null;
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (char === '\\') {
+        i++;
+      } else if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth = Math.max(0, depth - 1);
+      } else if (depth === 0 && /\s/.test(char)) {
+        const separator = selector.substring(i).match(/^\s+>>>\s+/);
+        if (separator) {
+          parts.push(selector.substring(start, i));
+          i += separator[0].length - 1;
+          start = i + 1;
+        }
+      }
+    }
+
+    parts.push(selector.substring(start));
+    return parts;
+  }
+
+  isUnique(selector, element) {
+    try {
+      const matches = this.root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Every element matching a CSS selector, including those inside open shadow roots
+  queryAll(selector, root = this.root) {
+    const matches = Array.from(root.querySelectorAll(selector));
+
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        matches.push(...this.queryAll(selector, element.shadowRoot));
+      }
+    });
+
+    return matches;
+  }
+
+  generate(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+    // Shadow DOM: selector of the host, then the selector inside its shadow root
+    const root = element.getRootNode();
+    if (root !== this.root && root instanceof ShadowRoot) {
+      const host = this.generate(root.host);
+      const inner = new SelectorEngine(root).generate(element);
+      return host && inner ? `${host}${SELECTOR_PIERCE_SEPARATOR}${inner}` : null;
+    }
+
+    if (element === document.documentElement) return 'html';
+    if (element === document.body) return 'body';
+
+    // Shortest case: the element is unique on its own
+    for (const candidate of this.getLocalCandidates(element)) {
+      if (this.isUnique(candidate, element)) return candidate;
+    }
+
+    // Otherwise climb the ancestors until the child path is unique
+    const path = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      const segment = this.getPathSegment(current);
+      path.unshift(segment);
+
+      const selector = path.join(' > ');
+      if (this.isUnique(selector, element)) return selector;
+
+      // An id is already unique, so nothing above it can help
+      if (segment.startsWith('#')) break;
+      current = current.parentElement;
+    }
+
+    if (this.root === document) {
+      const xpath = `${SELECTOR_XPATH_PREFIX}${this.getXPath(element)}`;
+      if (this.resolve(xpath) === element) return xpath;
+    }
+
+    return this.assignHandle(element);
+  }
+
+  escapeAttribute(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ');
+  }
+
+  // Ids that contain long digit runs or colons are usually generated per load
+  isStableId(id) {
+    return Boolean(id) && !/\d{4,}|^:|:$/.test(id);
+  }
+
+  getStableClasses(element) {
+    return Array.from(element.classList)
+      .filter(name => name.length < 40 && !/\d{3,}|^(css|sc|jsx|emotion)-|^_/.test(name))
+      .slice(0, 3);
+  }
+
+  getLocalCandidates(element) {
+    const tag = element.localName;
+    const candidates = [];
+
+    if (this.isStableId(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    SELECTOR_STABLE_ATTRIBUTES.forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && value.length < 200) {
+        candidates.push(`${tag}[${attribute}="${this.escapeAttribute(value)}"]`);
+      }
+    });
+
+    const classes = this.getStableClasses(element).map(name => `.${CSS.escape(name)}`);
+    if (classes.length > 0) {
+      candidates.push(`${tag}${classes[0]}`);
+      if (classes.length > 1) {
+        candidates.push(`${tag}${classes.join('')}`);
+      }
+    }
+
+    return candidates;
+  }
+
+  getPathSegment(element) {
+    if (this.isStableId(element.id) && this.isUnique(`#${CSS.escape(element.id)}`, element)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    const tag = element.localName;
+    const parent = element.parentElement;
+    const classes = this.getStableClasses(element);
+    let segment = classes.length > 0 ? `${tag}.${CSS.escape(classes[0])}` : tag;
+
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter(child => child.localName === tag);
+      if (sameTag.length > 1) {
+        segment += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+      }
+    }
+
+    return segment;
+  }
+
+  getXPath(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      const name = current.localName;
+      const isHTML = current.namespaceURI === 'http://www.w3.org/1999/xhtml';
+      const test = isHTML ? name : `*[local-name()="${name}"]`;
+      const parent = current.parentElement;
+
+      if (parent) {
+        const sameName = Array.from(parent.children).filter(child => child.localName === name);
+        steps.unshift(sameName.length > 1 ? `${test}[${sameName.indexOf(current) + 1}]` : test);
+      } else {
+        steps.unshift(test);
+      }
+
+      current = parent;
+    }
+
+    return `/${steps.join('/')}`;
+  }
+
+  // Last resort: tag the element itself so it can always be found again
+  assignHandle(element) {
+    let handle = element.getAttribute(SELECTOR_HANDLE_ATTRIBUTE);
+    if (!handle) {
+      selectorHandleCounter++;
+      handle = `${Date.now().toString(36)}-${selectorHandleCounter}`;
+      element.setAttribute(SELECTOR_HANDLE_ATTRIBUTE, handle);
+    }
+    return `[${SELECTOR_HANDLE_ATTRIBUTE}="${handle}"]`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorEngine;
+} else if (typeof window !== 'undefined') {
+  window.SelectorEngine = SelectorEngine;
+}
@@ -1,10 +1,231 @@
 // Service Worker - Background script for the extension
 // This skeleton provides basic structure for extension background tasks
 
+importScripts('mcp-tools.js', 'action-policy.js', 'audit-log.js');
+
+const MCP_NATIVE_HOST = 'uofc.chatbot.extension';
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+// Clicking by text picks the best match only when the runner-up scores
+// clearly lower; otherwise the candidates are returned to choose from
+const CLICK_AMBIGUITY_RATIO = 0.9;
+
+// JSON-RPC 2.0 client for the native messaging MCP host.
+// Chrome handles the length-prefixed framing on the wire; this class owns
+// request ids, response correlation and reconnecting with backoff.
+class MCPNativeClient {
+  constructor(options = {}) {
+    this.hostName = options.hostName || MCP_NATIVE_HOST;
+    this.requestTimeout = options.requestTimeout || 30000;
+    this.minBackoff = options.minBackoff || 1000;
+    this.maxBackoff = options.maxBackoff || 60000;
+    this.onRequest = options.onRequest || null;
+    this.onStatusChange = options.onStatusChange || null;
+
+    this.port = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.state = 'disconnected';
+    this.lastError = null;
+    this.serverInfo = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  connect() {
+    if (this.port) return;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.setState('connecting');
+
+    try {
+      this.port = chrome.runtime.connectNative(this.hostName);
+    } catch (error) {
+      this.handleDisconnect(error.message);
+      return;
+    }
+
+    this.port.onMessage.addListener((message) => this.handleMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      const error = chrome.runtime.lastError;
+      this.handleDisconnect(error ? error.message : 'Native host disconnected');
+    });
+
+    this.handshake();
+  }
+
+  async handshake() {
+    try {
+      const result = await this.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: { tools: {} },
+        clientInfo: {
+          name: 'uofc-chatbot-extension',
+          version: chrome.runtime.getManifest().version
+        }
+      });
+
+      this.serverInfo = result.serverInfo || null;
+      this.notify('notifications/initialized');
+      this.reconnectAttempts = 0;
+      this.lastError = null;
+      this.setState('connected');
+    } catch (error) {
+      console.error('MCP handshake failed:', error);
+      this.lastError = error.message;
+      if (this.port) {
+        this.port.disconnect();
+        this.handleDisconnect(error.message);
+      }
+    }
+  }
+
+  request(method, params) {
+    if (!this.port) {
+      return Promise.reject(new Error('MCP host not connected'));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request timed out: ${method}`));
+      }, this.requestTimeout);
+
+      this.pending.set(id, { resolve, reject, timer, method });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  send(message) {
+    if (!this.port) return;
+    try {
+      this.port.postMessage(message);
+    } catch (error) {
+      console.error('Failed to post to MCP host:', error);
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.jsonrpc !== '2.0') {
+      console.warn('Ignoring non JSON-RPC message from MCP host:', message);
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && message.method === undefined) {
+      const pending = this.pending.get(message.id);
+      if (!pending) {
+        console.warn('MCP response for unknown request id:', message.id);
+        return;
+      }
+
+      clearTimeout(pending.timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        pending.reject(new Error(message.error.message || `MCP error ${message.error.code}`));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    // Request or notification from the host
+    if (message.method) {
+      this.handleIncomingRequest(message);
+    }
+  }
+
+  async handleIncomingRequest(message) {
+    const { id, method, params } = message;
+    const isNotification = id === undefined;
+
+    if (method === 'ping') {
+      if (!isNotification) this.send({ jsonrpc: '2.0', id, result: {} });
+      return;
+    }
+
+    if (!this.onRequest) {
+      if (!isNotification) {
+        this.send({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+      }
+      return;
+    }
+
+    try {
+      const result = await this.onRequest(method, params || {});
+      if (!isNotification) this.send({ jsonrpc: '2.0', id, result });
+    } catch (error) {
+      if (!isNotification) {
+        this.send({
+          jsonrpc: '2.0',
+          id,
+          error: { code: error.code || -32603, message: error.message }
+        });
+      }
+    }
+  }
+
+  handleDisconnect(reason) {
+    console.warn('MCP host disconnected:', reason);
+
+    this.port = null;
+    this.serverInfo = null;
+    this.lastError = reason;
+
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(`MCP host disconnected: ${reason}`));
+    });
+    this.pending.clear();
+
+    this.setState('disconnected');
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const delay = Math.min(this.minBackoff * Math.pow(2, this.reconnectAttempts), this.maxBackoff);
+    this.reconnectAttempts++;
+    console.log(`Reconnecting to MCP host in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  getStatus() {
+    return {
+      connected: this.state === 'connected',
+      state: this.state,
+      lastError: this.lastError,
+      reconnectAttempts: this.reconnectAttempts,
+      serverInfo: this.serverInfo
+    };
+  }
+}
+
 class ServiceWorker {
   constructor() {
-    this.mcpPort = null;
-    this.mcpConnected = false;
+    this.mcpClient = null;
+    this.auditLog = new AuditLog();
     this.init();
   }
 
@@ -111,7 +332,7 @@ class ServiceWorker {
         break;
 
       case 'getMCPStatus':
-        sendResponse({ connected: this.mcpConnected });
+        sendResponse(this.mcpClient.getStatus());
         break;
 
       default:
@@ -161,25 +382,84 @@ class ServiceWorker {
 
   initializeMCP() {
     console.log('Initializing MCP connection...');
-    // For now, we'll simulate MCP connection
-    // In a real implementation, this would connect to the MCP server
-    this.mcpConnected = true;
-    console.log('MCP connection initialized');
+
+    // An open native messaging port also keeps this service worker alive
+    this.mcpClient = new MCPNativeClient({
+      onRequest: (method, params) => this.handleMCPRequest(method, params),
+      onStatusChange: (status) => {
+        console.log('MCP status:', status.state);
+        this.sendMessageToSidePanel({ action: 'mcpStatusChanged', data: status });
+      }
+    });
+    this.mcpClient.connect();
   }
 
-  async handleMCPCall(data) {
-    if (!this.mcpConnected) {
-      throw new Error('MCP server not connected');
+  // Requests arriving from the native host are executed against the browser
+  async handleMCPRequest(method, params) {
+    switch (method) {
+      case 'tools/list':
+        return { tools: MCPTools.list() };
+      case 'tools/call': {
+        const { name, arguments: args = {} } = params;
+        if (!MCPTools.get(name)) {
+          const error = new Error(`Unknown tool: ${name}`);
+          error.code = -32602;
+          throw error;
+        }
+
+        // Tool failures are reported as results so the MCP client can show them
+        try {
+          // Forms are only written after the student confirms in the side panel
+          const response = name === 'page_fillForm' && !args.preview
+            ? await this.confirmFormFillInSidePanel(args)
+            : await this.handleMCPCall({ method: name, params: args, initiator: 'mcp-client' });
+          const data = name === 'page_fillForm' ? MCPTools.redactFormFill(response.data) : response.data;
+          return {
+            content: [{ type: 'text', text: JSON.stringify(data ?? null) }]
+          };
+        } catch (error) {
+          return {
+            content: [{ type: 'text', text: error.message }],
+            isError: true
+          };
+        }
+      }
+      default: {
+        const error = new Error(`Method not found: ${method}`);
+        error.code = -32601;
+        throw error;
+      }
+    }
+  }
+
+  async confirmFormFillInSidePanel(params) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'confirmFormFill', data: params });
+    } catch (error) {
+      throw new Error('Open the UofC ChatBot side panel to review and confirm form filling');
+    }
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Form filling failed');
     }
+    return response;
+  }
 
-    const { method, params } = data;
-    console.log('MCP Call:', method, params);
+  async handleMCPCall(data) {
+    const { method, params = {}, initiator = 'assistant' } = data;
+    console.log('MCP Call:', method, params, initiator);
+
+    const startedAt = Date.now();
+    const tab = await this.getAuditTab(params);
+    let result;
+    let failure = null;
 
     try {
-      let result;
+      await this.enforcePolicy(method, params, initiator);
 
-      // Simulate MCP calls for now
-      // In real implementation, these would be actual MCP server calls
+      // Browser tools run locally through the chrome.* APIs, whether the
+      // call came from the side panel or from the native MCP host
       switch (method) {
         case 'browser_navigate':
           result = await this.simulateNavigate(params);
@@ -199,48 +479,404 @@ class ServiceWorker {
         case 'browser_getLinks':
           result = await this.simulateGetLinks(params);
           break;
-        default:
-          throw new Error(`Unknown MCP method: ${method}`);
+        case 'browser_listTabs':
+          result = await this.listTabs(params);
+          break;
+        case 'browser_switchTab':
+          result = await this.switchTab(params);
+          break;
+        case 'browser_openTab':
+          result = await this.openTab(params);
+          break;
+        case 'browser_closeTab':
+          result = await this.closeTab(params);
+          break;
+        default: {
+          const tool = MCPTools.get(method);
+          if (!tool || tool.target !== 'page') {
+            throw new Error(`Unknown MCP method: ${method}`);
+          }
+          result = await this.runPageAction(tool.action, params);
+        }
       }
 
       return { success: true, data: result };
     } catch (error) {
       console.error('MCP call failed:', error);
+      failure = error;
       throw error;
+    } finally {
+      this.auditLog.record({
+        kind: 'mcpCall',
+        method,
+        initiator,
+        tabId: tab?.id ?? null,
+        url: tab?.url || null,
+        params,
+        durationMs: Date.now() - startedAt,
+        success: !failure,
+        result: failure ? null : AuditLog.summarize(result),
+        error: failure ? failure.message : null
+      });
     }
   }
 
+  // Tab the call is about, looked up without waking discarded tabs
+  async getAuditTab(params) {
+    try {
+      if (params.tabId !== undefined) {
+        return await chrome.tabs.get(params.tabId);
+      }
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tab || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Mutating tools outside the allowlist wait for the student's confirmation.
+  // Commands the student typed or clicked in the side panel (initiator
+  // 'user') are their own confirmation. Refusals throw "Blocked: ..." errors.
+  async enforcePolicy(method, params, initiator) {
+    const tool = MCPTools.get(method);
+    if (!tool || !tool.mutates) return;
+
+    // A fillForm preview changes nothing; the fill itself is confirmed in the preview
+    if (tool.action === 'fillForm' && params.preview) return;
+
+    const policy = await ActionPolicy.load();
+    const { url, ...verdict } = await this.evaluatePolicy(policy, tool, params);
+
+    if (verdict.decision === 'block') {
+      throw new Error(`Blocked: ${verdict.reason}`);
+    }
+    if (verdict.decision === 'allow' || initiator === 'user') return;
+
+    const decision = await this.requestConfirmation({
+      tool: tool.name,
+      description: this.describeAction(tool, params),
+      host: verdict.host,
+      url,
+      initiator
+    });
+
+    if (decision === 'always') {
+      await policy.allow(verdict.host);
+      return;
+    }
+    if (decision !== 'allow') {
+      throw new Error(`Blocked: the student did not allow ${tool.name} on ${verdict.host}`);
+    }
+  }
+
+  // A tool that changes an existing tab answers to that tab's site, and
+  // navigation also to its destination, so leaving a site that isn't
+  // allowlisted asks first too. A tab that isn't showing a web page (a new
+  // tab) doesn't hold back navigation away from it. The tab is looked up
+  // without reloading it, so nothing happens before the decision.
+  async evaluatePolicy(policy, tool, params) {
+    if (tool.name === 'browser_openTab') {
+      return { ...policy.evaluate(tool, params.url), url: params.url };
+    }
+
+    const tab = await this.findTargetTab(params);
+    const current = { ...policy.evaluate(tool, tab.url), url: tab.url };
+    if (!params.url) return current;
+
+    const destination = { ...policy.evaluate(tool, params.url), url: params.url };
+    if (destination.decision !== 'allow' || !/^https?:/.test(tab.url || '')) return destination;
+    return current;
+  }
+
+  describeAction(tool, params) {
+    switch (tool.name) {
+      case 'browser_navigate':
+        return `Go to ${params.url}`;
+      case 'browser_openTab':
+        return `Open ${params.url} in a new tab`;
+      case 'browser_click':
+        return `Click ${params.text ? `"${params.text}"` : params.selector}`;
+      case 'browser_closeTab':
+        return 'Close the tab';
+      default:
+        return tool.description;
+    }
+  }
+
+  // Ask in the side panel; resolves to 'allow', 'always' or 'deny'
+  async requestConfirmation(request) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'confirmAction', data: request });
+    } catch (error) {
+      throw new Error(`Blocked: ${request.tool} on ${request.host} needs confirmation in the side panel, which is not open`);
+    }
+    return response ? response.decision : 'deny';
+  }
+
+  // Tab named by params.tabId, or the active tab of the current window
+  async getTargetTab(params = {}) {
+    const tab = await this.findTargetTab(params);
+    // Discarded tabs have no page (and no content script) until reloaded
+    if (tab.discarded) {
+      await chrome.tabs.reload(tab.id);
+      await this.waitForTabLoad(tab.id);
+    }
+    return tab;
+  }
+
+  // The tab a call targets, as it is: discarded tabs stay discarded
+  async findTargetTab(params = {}) {
+    if (params.tabId !== undefined) {
+      try {
+        return await chrome.tabs.get(params.tabId);
+      } catch (error) {
+        throw new Error(`No tab with id ${params.tabId}`);
+      }
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) throw new Error('No active tab');
+    return tab;
+  }
+
+  waitForTabLoad(tabId, timeout = 10000) {
+    return new Promise(resolve => {
+      const listener = (updatedId, changeInfo) => {
+        if (updatedId === tabId && changeInfo.status === 'complete') done();
+      };
+      const timer = setTimeout(() => done(), timeout);
+      const done = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
+      chrome.tabs.onUpdated.addListener(listener);
+
+      // The tab may have finished before the listener was attached
+      chrome.tabs.get(tabId).then(tab => {
+        if (tab.status === 'complete') done();
+      }).catch(() => done());
+    });
+  }
+
+  describeTab(tab) {
+    return {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      title: tab.title,
+      url: tab.url,
+      active: tab.active,
+      status: tab.status
+    };
+  }
+
+  async listTabs(params) {
+    const { currentWindow = true } = params;
+    const tabs = await chrome.tabs.query(currentWindow ? { currentWindow: true } : {});
+    return tabs.map(tab => this.describeTab(tab));
+  }
+
+  async switchTab(params) {
+    const tab = await this.getTargetTab(params);
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return { ...this.describeTab(tab), active: true };
+  }
+
+  async openTab(params) {
+    const { url, active = false } = params;
+    const tab = await chrome.tabs.create({ url, active });
+    await this.waitForTabLoad(tab.id);
+    return this.describeTab(await chrome.tabs.get(tab.id));
+  }
+
+  async closeTab(params) {
+    const tab = await this.getTargetTab(params);
+    await chrome.tabs.remove(tab.id);
+    return { tabId: tab.id, closed: true };
+  }
+
+  // Forward a page tool to the content scripts of the tab. Extraction
+  // tools run in every frame and are merged; the others go to the frame named
+  // by the selector's frame= prefix, or to the top frame.
+  async runPageAction(action, params) {
+    const tab = await this.getTargetTab(params);
+
+    const tool = MCPTools.getByAction(action);
+    const targetSelector = params.selector || params.formSelector;
+
+    if (tool && tool.allFrames && !targetSelector) {
+      return await this.runPageActionInFrames(tab, action, params);
+    }
+
+    return await this.sendPageAction(tab.id, this.getFrameId(targetSelector), action, params);
+  }
+
+  async sendPageAction(tabId, frameId, action, params) {
+    const startedAt = Date.now();
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await chrome.tabs.sendMessage(tabId, {
+        action: 'mcpPageAction',
+        data: { action, params }
+      }, { frameId });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || `Page action failed: ${action}`);
+      }
+      return response.data;
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      const durationMs = Date.now() - startedAt;
+      chrome.tabs.get(tabId).catch(() => null).then(tab => this.auditLog.record({
+        kind: 'pageAction',
+        method: action,
+        tabId,
+        frameId,
+        url: tab?.url || null,
+        params,
+        durationMs,
+        success: !failure,
+        result: failure ? null : AuditLog.summarize(response.data),
+        error: failure ? failure.message : null
+      }));
+    }
+  }
+
+  async runPageActionInFrames(tab, action, params) {
+    let frames = null;
+    try {
+      frames = await chrome.webNavigation.getAllFrames({ tabId: tab.id });
+    } catch (error) {
+      console.warn('Could not list frames, using the top frame only:', error);
+    }
+    if (!frames || frames.length === 0) {
+      frames = [{ frameId: 0, url: tab.url }];
+    }
+
+    const results = await Promise.all(frames.map(async frame => {
+      try {
+        const data = await this.sendPageAction(tab.id, frame.frameId, action, params);
+        return { frame, data };
+      } catch (error) {
+        // Frames without the content script (error pages, sandboxed frames) are skipped
+        if (frame.frameId === 0) throw error;
+        console.debug(`Frame ${frame.frameId} skipped:`, error.message);
+        return null;
+      }
+    }));
+
+    return this.mergeFrameResults(results.filter(Boolean));
+  }
+
+  // Top frame result first, subframe items appended with frame-prefixed selectors.
+  // Rects of subframe items are relative to their own frame.
+  mergeFrameResults(results) {
+    const top = results.find(result => result.frame.frameId === 0) || results[0];
+    const others = results.filter(result => result !== top);
+
+    if (Array.isArray(top.data)) {
+      return others.reduce((merged, { frame, data }) =>
+        merged.concat(this.addFramePrefix(frame.frameId, data)), top.data);
+    }
+
+    const merged = {
+      ...top.data,
+      frames: results.map(({ frame, data }) => ({ frameId: frame.frameId, url: data.url || frame.url, title: data.title || '' }))
+    };
+
+    others.forEach(({ frame, data }) => {
+      const prefixed = this.addFramePrefix(frame.frameId, data);
+      Object.entries(prefixed).forEach(([key, value]) => {
+        if (Array.isArray(value) && Array.isArray(merged[key])) {
+          merged[key] = merged[key].concat(value);
+        }
+      });
+      if (prefixed.text) {
+        merged.text = `${merged.text || ''}\n\n[Frame: ${prefixed.title || prefixed.url}]\n${prefixed.text}`;
+      }
+    });
+
+    return merged;
+  }
+
+  // Make subframe selectors and section ids unique across the whole tab
+  addFramePrefix(frameId, value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.addFramePrefix(frameId, item));
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if ((key === 'selector' || key === 'headingSelector') && typeof item === 'string') {
+        copy[key] = `frame=${frameId} >>> ${item}`;
+      } else if (key === 'id' && typeof item === 'string' && item.startsWith('semantic-section-')) {
+        copy[key] = `f${frameId}-${item}`;
+      } else {
+        copy[key] = this.addFramePrefix(frameId, item);
+      }
+    });
+    return copy;
+  }
+
+  // Frame id from a "frame=<id> >>> ..." selector, 0 (top frame) otherwise
+  getFrameId(selector) {
+    const match = typeof selector === 'string' && selector.match(/^frame=(\d+)\s+>>>\s+/);
+    return match ? parseInt(match[1]) : 0;
+  }
+
   async simulateNavigate(params) {
     const { url } = params;
     // Get current active tab and navigate
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = await this.getTargetTab(params);
     await chrome.tabs.update(tab.id, { url });
     return { url, status: 'navigated' };
   }
 
+  // Title, URL, body text and the page as Markdown from the content script
+  // (null where it can't run). The full HTML is large, so it is only
+  // included when asked for with includeHtml.
   async simulateGetPageContent(params) {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const { includeHtml = false } = params;
+    const tab = await this.getTargetTab(params);
     const results = await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      func: () => {
+      func: (withHtml) => {
         return {
           title: document.title,
           url: window.location.href,
           content: document.body.innerText,
-          html: document.documentElement.outerHTML
+          ...(withHtml ? { html: document.documentElement.outerHTML } : {})
         };
-      }
+      },
+      args: [includeHtml]
     });
-    return results[0].result;
+
+    let markdown = null;
+    try {
+      const converted = await this.sendPageAction(tab.id, 0, 'extractMarkdown', { mainContent: false, blocks: false });
+      markdown = converted.markdown;
+    } catch (error) {
+      console.warn('Markdown conversion unavailable:', error.message);
+    }
+
+    return { ...results[0].result, markdown };
   }
 
   async simulateFindElement(params) {
     const { selector } = params;
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = await this.getTargetTab(params);
     const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
+      target: { tabId: tab.id, frameIds: [this.getFrameId(selector)] },
       func: (sel) => {
-        const element = document.querySelector(sel);
+        // Runs in the content script's world, so the selector engine is available
+        const element = typeof SelectorEngine !== 'undefined' ? new SelectorEngine().resolve(sel) : document.querySelector(sel);
         if (!element) return null;
 
         const rect = element.getBoundingClientRect();
@@ -265,13 +901,13 @@ class ServiceWorker {
 
   async simulateScrollTo(params) {
     const { selector, x, y } = params;
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = await this.getTargetTab(params);
 
     await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
+      target: { tabId: tab.id, frameIds: [this.getFrameId(selector)] },
       func: (params) => {
         if (params.selector) {
-          const element = document.querySelector(params.selector);
+          const element = typeof SelectorEngine !== 'undefined' ? new SelectorEngine().resolve(params.selector) : document.querySelector(params.selector);
           if (element) element.scrollIntoView({ behavior: 'smooth', block: 'center' });
         } else if (params.x !== undefined && params.y !== undefined) {
           window.scrollTo({ left: params.x, top: params.y, behavior: 'smooth' });
@@ -283,28 +919,64 @@ class ServiceWorker {
     return { scrolled: true, selector, x, y };
   }
 
+  // Click by selector, or by visible text through the element resolver. The
+  // result says whether anything was clicked; ambiguous text returns the
+  // candidates instead of guessing.
   async simulateClick(params) {
-    const { selector } = params;
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const { text, role } = params;
+    let { selector } = params;
+    let target = null;
 
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
+    if (!selector && text) {
+      const candidates = (await this.runPageAction('findElements', { text, role, tabId: params.tabId }))
+        .sort((a, b) => b.score - a.score);
+
+      if (candidates.length === 0) {
+        return { clicked: false, text, reason: `Nothing on the page matches "${text}"` };
+      }
+
+      // Two links to the same place are not really a choice
+      const [best] = candidates;
+      const second = candidates.find(candidate => candidate !== best && (!best.href || candidate.href !== best.href));
+      if (second && second.score >= best.score * CLICK_AMBIGUITY_RATIO) {
+        return { clicked: false, text, ambiguous: true, candidates: candidates.slice(0, 5) };
+      }
+
+      selector = best.selector;
+      target = best;
+    }
+
+    if (!selector) {
+      throw new Error('A selector or text is required');
+    }
+
+    const tab = await this.getTargetTab(params);
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [this.getFrameId(selector)] },
       func: (sel) => {
-        const element = document.querySelector(sel);
-        if (element) {
-          element.click();
-          return true;
+        const element = typeof SelectorEngine !== 'undefined' ? new SelectorEngine().resolve(sel) : document.querySelector(sel);
+        if (!element) return { clicked: false, reason: 'Element not found' };
+        if (element.disabled || element.getAttribute('aria-disabled') === 'true') {
+          return { clicked: false, reason: 'Element is disabled' };
         }
-        return false;
+
+        element.scrollIntoView({ behavior: 'auto', block: 'center' });
+        element.click();
+        return {
+          clicked: true,
+          tagName: element.tagName,
+          text: (element.innerText || element.value || '').trim().substring(0, 100)
+        };
       },
       args: [selector]
     });
 
-    return { clicked: true, selector };
+    const result = results[0]?.result || { clicked: false, reason: 'Page did not respond' };
+    return { ...result, selector, ...(target ? { name: target.name, role: target.role } : {}) };
   }
 
   async simulateGetLinks(params) {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = await this.getTargetTab(params);
     const results = await chrome.scripting.executeScript({
       target: { tabId: tab.id },
       func: () => {
@@ -0,0 +1,144 @@
+// Token-budget aware chat context
+// Decides which past messages are sent with a chat request. Recent turns are
+// kept verbatim while they fit the model's budget; older turns are folded into
+// a running summary. Web command output (link lists, page dumps) never goes
+// to the model, and other oversized messages are truncated.
+
+// Context windows in tokens, matched against the chat model name
+const MODEL_CONTEXT_WINDOWS = [
+  { pattern: /gpt-4o|gpt-4\.1|gpt-4-turbo|o1|o3|o4/i, tokens: 128000 },
+  { pattern: /llama-3\.[1-3]|llama3\.[1-3]|llama-4/i, tokens: 128000 },
+  { pattern: /mixtral/i, tokens: 32768 },
+  { pattern: /gemma/i, tokens: 8192 },
+  { pattern: /gpt-3\.5/i, tokens: 16385 }
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Large windows are not filled: long prompts are slow and cost more
+const MAX_HISTORY_TOKENS = 12000;
+// Room for the answer and for tool results gathered during the tool loop
+const RESPONSE_RESERVE_TOKENS = 2000;
+const TOOL_RESERVE_TOKENS = 3000;
+const MAX_MESSAGE_TOKENS = 1500;
+const MIN_MESSAGES_TO_SUMMARIZE = 4;
+const SUMMARY_MAX_TOKENS = 400;
+
+class ContextManager {
+  // Rough estimate: about four characters per token, plus per-message framing
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  static messageTokens(message) {
+    return this.estimateTokens(message.content) + 4;
+  }
+
+  static getContextWindow(model) {
+    const match = MODEL_CONTEXT_WINDOWS.find(entry => entry.pattern.test(model || ''));
+    return match ? match.tokens : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  // Tokens available for history once the reply and tool results are reserved
+  static getHistoryBudget(model) {
+    const available = this.getContextWindow(model) - RESPONSE_RESERVE_TOKENS - TOOL_RESERVE_TOKENS;
+    return Math.max(1000, Math.min(MAX_HISTORY_TOKENS, available));
+  }
+
+  // Chat message as sent to the model, or null when it should be left out
+  static prepareMessage(message) {
+    if (message.kind === 'command' || message.kind === 'welcome') return null;
+    if (message.role !== 'user' && message.role !== 'assistant') return null;
+
+    let content = message.content || '';
+    if (this.estimateTokens(content) > MAX_MESSAGE_TOKENS) {
+      const keep = MAX_MESSAGE_TOKENS * 4;
+      content = `${content.substring(0, keep)}\n[... ${content.length - keep} more characters omitted]`;
+    }
+
+    return { role: message.role, content };
+  }
+
+  // history: stored messages, oldest first
+  // summary: { text, upTo } where upTo is the timestamp of the last folded message
+  // fixedMessages: system prompts that are always sent
+  //
+  // Returns the request messages and the older messages that no longer fit
+  // and should be folded into the summary.
+  static build({ model, history, summary = null, fixedMessages = [] }) {
+    const budget = this.getHistoryBudget(model);
+    const summaryMessage = summary && summary.text
+      ? { role: 'system', content: `Summary of the earlier conversation:\n${summary.text}` }
+      : null;
+
+    let used = [...fixedMessages, ...(summaryMessage ? [summaryMessage] : [])]
+      .reduce((sum, message) => sum + this.messageTokens(message), 0);
+
+    const pending = history.filter(message => !summary || message.timestamp > summary.upTo);
+    const recent = [];
+    let cut = 0;
+
+    // Walk back from the newest message; the latest one is always included
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const prepared = this.prepareMessage(pending[i]);
+      if (!prepared) continue;
+
+      const tokens = this.messageTokens(prepared);
+      if (recent.length > 0 && used + tokens > budget) {
+        cut = i + 1;
+        break;
+      }
+
+      used += tokens;
+      recent.unshift(prepared);
+    }
+
+    return {
+      messages: [...fixedMessages, ...(summaryMessage ? [summaryMessage] : []), ...recent],
+      overflow: pending.slice(0, cut).filter(message => this.prepareMessage(message)),
+      overflowUpTo: cut > 0 ? pending[cut - 1].timestamp : null,
+      tokens: used,
+      budget
+    };
+  }
+
+  static shouldSummarize(context) {
+    return context.overflow.length >= MIN_MESSAGES_TO_SUMMARIZE;
+  }
+
+  // Fold overflowing turns into the running summary with one short completion
+  static async summarize(provider, previousSummary, overflow, upTo, signal) {
+    const transcript = overflow
+      .map(message => {
+        const prepared = this.prepareMessage(message);
+        return `${prepared.role === 'user' ? 'Student' : 'Assistant'}: ${prepared.content}`;
+      })
+      .join('\n\n');
+
+    const reply = await provider.chatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: 'You maintain a running summary of a conversation between a University of Calgary ' +
+            'student and an assistant. Merge the new turns into the existing summary. Keep facts, ' +
+            'decisions, names, course codes, URLs and open questions; drop pleasantries. ' +
+            `Answer with the updated summary only, at most ${SUMMARY_MAX_TOKENS} tokens.`
+        },
+        {
+          role: 'user',
+          content: `Existing summary:\n${previousSummary && previousSummary.text ? previousSummary.text : '(none)'}\n\nNew turns:\n${transcript}`
+        }
+      ],
+      temperature: 0.2,
+      max_tokens: SUMMARY_MAX_TOKENS,
+      stream: false
+    }, { signal });
+
+    return { text: (reply.content || '').trim(), upTo, updatedAt: Date.now() };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContextManager;
+} else if (typeof window !== 'undefined') {
+  window.ContextManager = ContextManager;
+}
@@ -0,0 +1,239 @@
+// Conversation export and import
+// Markdown and HTML are readable transcripts; JSON is lossless and is the
+// only format that can be imported back into the conversation store.
+
+const CONVERSATION_EXPORT_FORMAT = 'uofc-chatbot-conversations';
+const CONVERSATION_EXPORT_VERSION = 1;
+const MESSAGE_ROLES = ['user', 'assistant', 'system'];
+
+class ConversationExporter {
+  static formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'unknown time';
+  }
+
+  static speaker(role) {
+    return role === 'user' ? 'You' : 'UofC ChatBot';
+  }
+
+  static toMarkdown(conversation, messages) {
+    const lines = [`# ${conversation.title}`, ''];
+
+    lines.push(`- Started: ${this.formatTime(conversation.createdAt)}`);
+    lines.push(`- Last updated: ${this.formatTime(conversation.updatedAt)}`);
+    if (conversation.pageContext && conversation.pageContext.url) {
+      lines.push(`- Page: ${conversation.pageContext.url}`);
+    }
+    lines.push('');
+
+    messages.forEach(msg => {
+      lines.push(`## ${this.speaker(msg.role)} · ${this.formatTime(msg.timestamp)}`, '');
+      if (msg.pageUrl) {
+        lines.push(`> About: <${msg.pageUrl}>`, '');
+      }
+      lines.push(msg.content, '');
+
+      if (msg.citations && msg.citations.length > 0) {
+        lines.push('**Sources:**', '');
+        msg.citations.forEach(citation => {
+          const location = citation.url ? ` — <${citation.url}> (\`${citation.selector}\`)` : '';
+          lines.push(`${citation.number}. ${citation.heading}${location}`);
+        });
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  static escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Imported conversations can carry any URL, so only http(s) ones become links
+  static linkHTML(url) {
+    const text = this.escapeHTML(url);
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch (error) {
+      return text;
+    }
+    return /^https?:$/.test(protocol) ? `<a href="${text}">${text}</a>` : text;
+  }
+
+  // Self-contained page: inline styles, no scripts, no external resources
+  static toHTML(conversation, messages) {
+    const esc = text => this.escapeHTML(text);
+    const link = url => this.linkHTML(url);
+
+    const body = messages.map(msg => {
+      const about = msg.pageUrl
+        ? `<div class="about">About ${link(msg.pageUrl)}</div>`
+        : '';
+      const sources = msg.citations && msg.citations.length > 0
+        ? `<ol class="sources">${msg.citations.map(citation =>
+          `<li value="${esc(citation.number)}">${esc(citation.heading)}` +
+          (citation.url ? ` — ${link(citation.url)}` : '') +
+          '</li>').join('')}</ol>`
+        : '';
+
+      return `<div class="message ${esc(msg.role)}">
+  <div class="meta">${esc(this.speaker(msg.role))} · ${esc(this.formatTime(msg.timestamp))}</div>
+  ${about}
+  <div class="content">${esc(msg.content)}</div>
+  ${sources}
+</div>`;
+    }).join('\n');
+
+    const page = conversation.pageContext && conversation.pageContext.url
+      ? `<p>Page: ${link(conversation.pageContext.url)}</p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(conversation.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 24px auto; padding: 0 16px; color: #212529; }
+  h1 { color: #D6001C; font-size: 22px; }
+  .message { padding: 10px 14px; border-radius: 12px; margin: 12px 0; background: #f1f3f4; }
+  .message.user { background: #D6001C; color: white; margin-left: 15%; }
+  .message.user a { color: white; }
+  .meta, .about { font-size: 12px; opacity: 0.75; margin-bottom: 4px; }
+  .content { white-space: pre-wrap; font-size: 14px; line-height: 1.45; }
+  .sources { font-size: 12px; margin: 8px 0 0; padding-left: 20px; }
+</style>
+</head>
+<body>
+<h1>${esc(conversation.title)}</h1>
+<p>Started ${esc(this.formatTime(conversation.createdAt))} · exported ${esc(this.formatTime(Date.now()))}</p>
+${page}
+${body}
+</body>
+</html>
+`;
+  }
+
+  // entries: [{ conversation, messages }]
+  static toJSON(entries) {
+    return JSON.stringify({
+      format: CONVERSATION_EXPORT_FORMAT,
+      version: CONVERSATION_EXPORT_VERSION,
+      exportedAt: Date.now(),
+      conversations: entries.map(({ conversation, messages }) => ({ ...conversation, messages }))
+    }, null, 2);
+  }
+
+  // Validate a JSON export and return [{ conversation, messages }].
+  // Throws with a readable reason when the file is not a usable export.
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not a JSON file: ${error.message}`);
+    }
+
+    if (!data || data.format !== CONVERSATION_EXPORT_FORMAT) {
+      throw new Error('Not a UofC ChatBot conversation export');
+    }
+    if (data.version > CONVERSATION_EXPORT_VERSION) {
+      throw new Error(`Export version ${data.version} is newer than this extension supports`);
+    }
+    if (!Array.isArray(data.conversations)) {
+      throw new Error('Export has no conversations list');
+    }
+
+    return data.conversations.map((item, index) => {
+      const where = `Conversation ${index + 1}`;
+
+      if (!item || typeof item.id !== 'string' || !item.id) {
+        throw new Error(`${where} has no id`);
+      }
+      if (!Array.isArray(item.messages)) {
+        throw new Error(`${where} has no messages list`);
+      }
+
+      const messages = item.messages.map((msg, position) => {
+        if (!msg || !MESSAGE_ROLES.includes(msg.role) || typeof msg.content !== 'string') {
+          throw new Error(`${where}, message ${position + 1} needs a role and text content`);
+        }
+        return { ...msg, timestamp: Number(msg.timestamp) || 0 };
+      });
+
+      const meta = { ...item };
+      delete meta.messages;
+      return {
+        conversation: {
+          ...meta,
+          binding: this.importBinding(meta.binding),
+          pageContext: this.importPageContext(meta.pageContext),
+          summary: this.importSummary(meta.summary),
+          title: typeof meta.title === 'string' && meta.title.trim() ? meta.title : 'Imported conversation',
+          createdAt: Number(meta.createdAt) || Date.now(),
+          updatedAt: Number(meta.updatedAt) || Date.now()
+        },
+        messages
+      };
+    });
+  }
+
+  // Site bindings survive an import when they name an http(s) origin; tab ids
+  // mean nothing on another browser, and anything else is dropped
+  static importBinding(binding) {
+    if (!binding || binding.type !== 'origin' || typeof binding.value !== 'string') return null;
+
+    try {
+      const url = new URL(binding.value);
+      return /^https?:$/.test(url.protocol) && url.origin === binding.value ? { type: 'origin', value: url.origin } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static importPageContext(pageContext) {
+    if (!pageContext || typeof pageContext.url !== 'string') return null;
+    return {
+      url: pageContext.url,
+      title: typeof pageContext.title === 'string' ? pageContext.title : ''
+    };
+  }
+
+  // Rolling summary, { text, upTo, updatedAt } (see ContextManager.summarize)
+  static importSummary(summary) {
+    if (!summary || typeof summary.text !== 'string') return null;
+    return { text: summary.text, upTo: Number(summary.upTo) || 0, updatedAt: Number(summary.updatedAt) || 0 };
+  }
+
+  static download(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  static filename(conversation, extension) {
+    const slug = conversation.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 50) || 'conversation';
+    return `uofc-chat-${slug}.${extension}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationExporter;
+} else if (typeof window !== 'undefined') {
+  window.ConversationExporter = ConversationExporter;
+}
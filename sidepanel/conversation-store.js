@@ -0,0 +1,273 @@
+// Conversation store
+// Keeps several named chat threads in chrome.storage.local. The index (titles,
+// bindings, page context) lives under one key and each thread's messages under
+// its own key, so switching threads never rewrites the whole history.
+
+const CONVERSATION_INDEX_KEY = 'conversationIndex';
+const CONVERSATION_KEY_PREFIX = 'conversation_';
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+// How threads follow the browser: not at all, one per tab, or one per site
+const CONVERSATION_BINDINGS = {
+  off: 'Manual',
+  tab: 'One per tab',
+  origin: 'One per site'
+};
+
+class ConversationStore {
+  constructor() {
+    this.index = null;
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([CONVERSATION_INDEX_KEY, 'chatHistory']);
+    this.index = result[CONVERSATION_INDEX_KEY] || { activeId: null, autoBind: 'off', conversations: [] };
+
+    // Installs from before conversations kept a single chatHistory thread
+    if (result.chatHistory) {
+      const migrated = await this.create({ title: 'Previous chat' });
+      await this.saveMessages(migrated.id, result.chatHistory);
+      await chrome.storage.local.remove('chatHistory');
+      console.log(`Migrated ${result.chatHistory.length} messages into a conversation`);
+    }
+
+    if (!this.get(this.index.activeId)) {
+      const latest = this.list()[0] || await this.create();
+      this.index.activeId = latest.id;
+      await this.saveIndex();
+    }
+
+    return this;
+  }
+
+  async saveIndex() {
+    await chrome.storage.local.set({ [CONVERSATION_INDEX_KEY]: this.index });
+  }
+
+  static messagesKey(id) {
+    return `${CONVERSATION_KEY_PREFIX}${id}`;
+  }
+
+  // Most recently used first
+  list() {
+    return [...this.index.conversations].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  get(id) {
+    return this.index.conversations.find(conversation => conversation.id === id) || null;
+  }
+
+  get active() {
+    return this.get(this.index.activeId);
+  }
+
+  get autoBind() {
+    return this.index.autoBind || 'off';
+  }
+
+  async setAutoBind(mode) {
+    this.index.autoBind = CONVERSATION_BINDINGS[mode] ? mode : 'off';
+    await this.saveIndex();
+  }
+
+  async create({ title = DEFAULT_CONVERSATION_TITLE, binding = null, pageContext = null } = {}) {
+    const now = Date.now();
+    const conversation = {
+      id: `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      title,
+      binding,
+      pageContext,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0
+    };
+
+    this.index.conversations.push(conversation);
+    await this.saveIndex();
+    return conversation;
+  }
+
+  async rename(id, title) {
+    const conversation = this.get(id);
+    if (!conversation || !title.trim()) return;
+
+    conversation.title = title.trim();
+    conversation.renamed = true;
+    await this.saveIndex();
+  }
+
+  async delete(id) {
+    this.index.conversations = this.index.conversations.filter(conversation => conversation.id !== id);
+    await chrome.storage.local.remove(ConversationStore.messagesKey(id));
+
+    if (this.index.activeId === id) {
+      const next = this.list()[0] || await this.create();
+      this.index.activeId = next.id;
+    }
+
+    await this.saveIndex();
+  }
+
+  async setActive(id) {
+    if (!this.get(id)) return;
+
+    this.index.activeId = id;
+    await this.saveIndex();
+  }
+
+  async getMessages(id) {
+    const key = ConversationStore.messagesKey(id);
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || [];
+  }
+
+  async saveMessages(id, messages) {
+    const conversation = this.get(id);
+    if (!conversation) return;
+
+    await chrome.storage.local.set({ [ConversationStore.messagesKey(id)]: messages });
+
+    // Untitled threads are named after their first question
+    const firstQuestion = messages.find(msg => msg.role === 'user');
+    if (!conversation.renamed && firstQuestion) {
+      conversation.title = firstQuestion.content.substring(0, 60);
+    }
+
+    conversation.messageCount = messages.length;
+    conversation.updatedAt = Date.now();
+    await this.saveIndex();
+  }
+
+  // Remember which page the thread was last used on
+  async setPageContext(id, pageContext) {
+    const conversation = this.get(id);
+    if (!conversation || !pageContext) return;
+
+    conversation.pageContext = pageContext;
+    await this.saveIndex();
+  }
+
+  // Running summary of turns that no longer fit the model's context
+  async setSummary(id, summary) {
+    const conversation = this.get(id);
+    if (!conversation) return;
+
+    conversation.summary = summary;
+    await this.saveIndex();
+  }
+
+  findBound(binding) {
+    return this.index.conversations.find(conversation =>
+      conversation.binding &&
+      conversation.binding.type === binding.type &&
+      conversation.binding.value === binding.value
+    ) || null;
+  }
+
+  // Thread for the given tab under the current auto-binding mode, created on demand
+  async resolveForTab(tab) {
+    if (this.autoBind === 'off' || !tab) return null;
+
+    let binding;
+    if (this.autoBind === 'tab') {
+      binding = { type: 'tab', value: tab.id };
+    } else {
+      let origin;
+      try {
+        origin = new URL(tab.url).origin;
+      } catch (error) {
+        return null;
+      }
+      if (!/^https?:/.test(origin)) return null;
+      binding = { type: 'origin', value: origin };
+    }
+
+    const existing = this.findBound(binding);
+    if (existing) return existing;
+
+    const title = binding.type === 'origin' ? new URL(binding.value).hostname : (tab.title || DEFAULT_CONVERSATION_TITLE);
+    return await this.create({
+      title,
+      binding,
+      pageContext: { url: tab.url, title: tab.title }
+    });
+  }
+
+  // Merge threads from a JSON export. A thread whose id already exists gets
+  // the messages it is missing; any other thread is added as is.
+  async importConversations(entries) {
+    const summary = { added: 0, merged: 0, messages: 0 };
+    const messageKey = msg => `${msg.timestamp}|${msg.role}|${msg.content}`;
+
+    for (const { conversation, messages } of entries) {
+      const existing = this.get(conversation.id);
+
+      if (existing) {
+        const current = await this.getMessages(existing.id);
+        const known = new Set(current.map(messageKey));
+        const missing = messages.filter(msg => !known.has(messageKey(msg)));
+        if (missing.length === 0) continue;
+
+        const merged = [...current, ...missing].sort((a, b) => a.timestamp - b.timestamp);
+        await this.saveMessages(existing.id, merged);
+        summary.merged++;
+        summary.messages += missing.length;
+        continue;
+      }
+
+      // Only site bindings are imported (see ConversationExporter.importBinding),
+      // and a site keeps one bound thread
+      let binding = conversation.binding || null;
+      if (binding && (binding.type !== 'origin' || this.findBound(binding))) {
+        binding = null;
+      }
+
+      this.index.conversations.push({
+        ...conversation,
+        binding,
+        messageCount: messages.length
+      });
+      await chrome.storage.local.set({ [ConversationStore.messagesKey(conversation.id)]: messages });
+      summary.added++;
+      summary.messages += messages.length;
+    }
+
+    await this.saveIndex();
+    return summary;
+  }
+
+  // Case-insensitive search over titles and message text of every thread
+  async search(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const keys = this.index.conversations.map(conversation => ConversationStore.messagesKey(conversation.id));
+    const stored = await chrome.storage.local.get(keys);
+    const matches = [];
+
+    this.list().forEach(conversation => {
+      const messages = stored[ConversationStore.messagesKey(conversation.id)] || [];
+      const hits = messages.filter(msg => msg.content && msg.content.toLowerCase().includes(needle));
+
+      if (hits.length > 0 || conversation.title.toLowerCase().includes(needle)) {
+        const first = hits[0];
+        let snippet = '';
+        if (first) {
+          const position = first.content.toLowerCase().indexOf(needle);
+          const start = Math.max(0, position - 40);
+          snippet = (start > 0 ? '...' : '') + first.content.substring(start, position + needle.length + 60);
+        }
+        matches.push({ conversation, hits: hits.length, snippet });
+      }
+    });
+
+    return matches;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ConversationStore, CONVERSATION_BINDINGS };
+} else if (typeof window !== 'undefined') {
+  window.ConversationStore = ConversationStore;
+  window.CONVERSATION_BINDINGS = CONVERSATION_BINDINGS;
+}
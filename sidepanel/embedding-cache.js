@@ -0,0 +1,181 @@
+// Persistent embedding cache backed by IndexedDB
+// Entries are keyed by embedder, page URL and a SHA-256 hash of the section
+// text, so a section is only re-embedded when its text changes. Entries are
+// evicted least-recently-used first once the cache grows past its budget.
+
+const EMBEDDING_CACHE_DB = 'uofc-embedding-cache';
+const EMBEDDING_CACHE_STORE = 'embeddings';
+const EMBEDDING_CACHE_VERSION = 1;
+const EMBEDDING_CACHE_BUDGET = 20 * 1024 * 1024;
+
+class EmbeddingCache {
+  constructor(options = {}) {
+    this.budget = options.budget || EMBEDDING_CACHE_BUDGET;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(EMBEDDING_CACHE_DB, EMBEDDING_CACHE_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(EMBEDDING_CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('page', 'page');
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a failed open be retried on the next call
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  async transaction(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(EMBEDDING_CACHE_STORE, mode);
+      const result = callback(tx.objectStore(EMBEDDING_CACHE_STORE));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  static async hash(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // One page's entries for one embedder share a page key
+  static pageKey(embedderId, url) {
+    return `${embedderId}|${url}`;
+  }
+
+  // Returns a Map of hash -> embedding for the hashes already cached
+  async getMany(embedderId, url, hashes) {
+    const page = EmbeddingCache.pageKey(embedderId, url);
+    const found = new Map();
+    const now = Date.now();
+
+    await this.transaction('readwrite', store => {
+      hashes.forEach(hash => {
+        const request = store.get(`${page}|${hash}`);
+        request.onsuccess = () => {
+          const entry = request.result;
+          if (!entry) return;
+
+          found.set(hash, entry.embedding);
+          entry.lastUsed = now;
+          store.put(entry);
+        };
+      });
+    });
+
+    return found;
+  }
+
+  // entries: Map of hash -> embedding
+  async putMany(embedderId, url, entries) {
+    if (entries.size === 0) return;
+
+    const page = EmbeddingCache.pageKey(embedderId, url);
+    const now = Date.now();
+
+    await this.transaction('readwrite', store => {
+      entries.forEach((embedding, hash) => {
+        store.put({
+          key: `${page}|${hash}`,
+          page,
+          hash,
+          embedding,
+          size: JSON.stringify(embedding).length,
+          lastUsed: now
+        });
+      });
+    });
+  }
+
+  // Drop entries for sections that are no longer on the page
+  async prunePage(embedderId, url, currentHashes) {
+    const page = EmbeddingCache.pageKey(embedderId, url);
+    const keep = new Set(currentHashes);
+
+    await this.transaction('readwrite', store => {
+      store.index('page').openCursor(IDBKeyRange.only(page)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        if (!keep.has(cursor.value.hash)) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  async evict() {
+    const stats = await this.getStats();
+    let excess = stats.bytes - this.budget;
+    if (excess <= 0) return 0;
+
+    let evicted = 0;
+    await this.transaction('readwrite', store => {
+      store.index('lastUsed').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+
+        excess -= cursor.value.size;
+        evicted++;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+
+    console.log(`Evicted ${evicted} cached embeddings`);
+    return evicted;
+  }
+
+  async getStats() {
+    const stats = { entries: 0, pages: 0, bytes: 0 };
+    const pages = new Set();
+
+    await this.transaction('readonly', store => {
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        stats.entries++;
+        stats.bytes += cursor.value.size;
+        pages.add(cursor.value.page);
+        cursor.continue();
+      };
+    });
+
+    stats.pages = pages.size;
+    return stats;
+  }
+
+  async clear() {
+    await this.transaction('readwrite', store => {
+      store.clear();
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbeddingCache;
+} else if (typeof window !== 'undefined') {
+  window.EmbeddingCache = EmbeddingCache;
+}
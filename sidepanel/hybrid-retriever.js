@@ -0,0 +1,183 @@
+// Hybrid keyword + vector retriever for page sections
+// BM25 keyword scores and vector similarities are fused with reciprocal rank
+// fusion, so a section that ranks well on either signal surfaces. Exact course
+// codes ("CPSC 331") always rank first, and every result explains its match.
+
+// Pages write subject codes in capitals ("CPSC 331"), so lowercase text such
+// as "room 101" or "over 200" is not a course code. Questions may be typed in
+// lowercase; a code there only counts when a section has it in capitals too.
+const COURSE_CODE_PATTERN = /\b([A-Z]{2,5})[\s-]?(\d{3})(?:\.\d+)?\b/g;
+const QUERY_COURSE_CODE_PATTERN = new RegExp(COURSE_CODE_PATTERN.source, 'gi');
+
+class HybridRetriever {
+  constructor(options = {}) {
+    this.embedder = options.embedder || new LocalEmbedder({ useBigrams: false });
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.rrfK = options.rrfK ?? 60;
+    this.headingWeight = options.headingWeight ?? 3;
+    this.headingBonus = options.headingBonus ?? 0.5;
+  }
+
+  // Course codes in canonical "CPSC 331" form
+  extractCourseCodes(text, pattern = COURSE_CODE_PATTERN) {
+    const codes = new Set();
+    for (const match of (text || '').matchAll(pattern)) {
+      codes.add(`${match[1].toUpperCase()} ${match[2]}`);
+    }
+    return codes;
+  }
+
+  // BM25 with the heading counted headingWeight times, so heading terms dominate
+  buildIndex(sections) {
+    const documents = sections.map(section => {
+      const headingTerms = this.embedder.tokenize(section.heading || '');
+      const bodyTerms = this.embedder.tokenize(section.text || section.content || '');
+      const frequencies = new Map();
+
+      bodyTerms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      headingTerms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + this.headingWeight));
+
+      return {
+        section,
+        frequencies,
+        headingTerms: new Set(headingTerms),
+        length: bodyTerms.length + headingTerms.length * this.headingWeight
+      };
+    });
+
+    const documentFrequency = new Map();
+    documents.forEach(doc => {
+      doc.frequencies.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+
+    return {
+      documents,
+      documentFrequency,
+      averageLength: documents.length > 0 ? totalLength / documents.length : 0
+    };
+  }
+
+  keywordScores(query, index) {
+    const queryTerms = [...new Set(this.embedder.tokenize(query))];
+    const total = index.documents.length;
+
+    return index.documents.map(doc => {
+      let score = 0;
+      const matchedTerms = [];
+
+      queryTerms.forEach(term => {
+        const tf = doc.frequencies.get(term);
+        if (!tf) return;
+
+        const df = index.documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = 1 - this.b + this.b * (doc.length / (index.averageLength || 1));
+        score += idf * (tf * (this.k1 + 1)) / (tf + this.k1 * norm);
+        matchedTerms.push(term);
+      });
+
+      const headingMatches = queryTerms.filter(term => doc.headingTerms.has(term));
+
+      return { section: doc.section, score, matchedTerms, headingMatches, queryTerms };
+    });
+  }
+
+  // vectorScores: Map of section id -> similarity (may be empty)
+  rank(query, sections, vectorScores = new Map(), options = {}) {
+    const { maxResults = 5, minVectorScore = 0.1 } = options;
+    const index = this.buildIndex(sections);
+    const keyword = this.keywordScores(query, index);
+
+    const keywordRanking = keyword
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const vectorRanking = sections
+      .filter(section => (vectorScores.get(section.id) || 0) > minVectorScore)
+      .sort((a, b) => vectorScores.get(b.id) - vectorScores.get(a.id));
+
+    const keywordRank = new Map(keywordRanking.map((result, i) => [result.section.id, i + 1]));
+    const vectorRank = new Map(vectorRanking.map((section, i) => [section.id, i + 1]));
+
+    const queryCodes = this.extractCourseCodes(query, QUERY_COURSE_CODE_PATTERN);
+    const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    // Best possible fused score: first in both rankings plus the heading bonus
+    const maxScore = 2 / (this.rrfK + 1) + this.headingBonus / (this.rrfK + 1);
+
+    const results = keyword
+      .map(result => {
+        const { section, matchedTerms, headingMatches, queryTerms } = result;
+        const reasons = [];
+        let fused = 0;
+
+        const kRank = keywordRank.get(section.id);
+        const vRank = vectorRank.get(section.id);
+
+        if (kRank) {
+          fused += 1 / (this.rrfK + kRank);
+          reasons.push(`Keywords: ${matchedTerms.join(', ')} (rank ${kRank})`);
+        }
+
+        if (vRank) {
+          fused += 1 / (this.rrfK + vRank);
+          reasons.push(`Semantic similarity ${Math.round(vectorScores.get(section.id) * 100)}% (rank ${vRank})`);
+        }
+
+        if (queryTerms.length > 0 && headingMatches.length === queryTerms.length) {
+          fused += this.headingBonus / (this.rrfK + 1);
+          reasons.push('All keywords in heading');
+        } else if (headingMatches.length > 0) {
+          reasons.push(`Heading mentions: ${headingMatches.join(', ')}`);
+        }
+
+        const sectionText = `${section.heading || ''} ${section.text || section.content || ''}`;
+        const sectionCodes = this.extractCourseCodes(sectionText);
+        const matchedCodes = [...queryCodes].filter(code => sectionCodes.has(code));
+        const exactCode = matchedCodes.length > 0;
+        if (exactCode) {
+          reasons.unshift(`Exact course code: ${matchedCodes.join(', ')}`);
+        }
+
+        const exactPhrase = normalizedQuery.includes(' ') &&
+          sectionText.toLowerCase().replace(/\s+/g, ' ').includes(normalizedQuery);
+        if (exactPhrase) {
+          fused += this.headingBonus / (this.rrfK + 1);
+          reasons.push('Exact phrase match');
+        }
+
+        return {
+          section,
+          fused,
+          exactCode,
+          keywordScore: result.score,
+          vectorScore: vectorScores.get(section.id) || 0,
+          reasons
+        };
+      })
+      .filter(result => result.fused > 0 || result.exactCode)
+      .sort((a, b) => {
+        if (a.exactCode !== b.exactCode) return a.exactCode ? -1 : 1;
+        return b.fused - a.fused;
+      })
+      .slice(0, maxResults);
+
+    return results.map(result => ({
+      ...result.section,
+      relevanceScore: result.exactCode ? 1 : Math.min(1, result.fused / maxScore),
+      keywordScore: result.keywordScore,
+      vectorScore: result.vectorScore,
+      matchExplanation: result.reasons
+    }));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HybridRetriever;
+} else if (typeof window !== 'undefined') {
+  window.HybridRetriever = HybridRetriever;
+}
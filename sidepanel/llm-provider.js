@@ -0,0 +1,263 @@
+// LLM provider layer
+// Every chat, embedding and key-test request goes through LLMProvider so the
+// endpoint, models and authentication are configured in one place.
+
+const LLM_PROVIDER_PRESETS = {
+  groq: {
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    chatModel: 'llama-3.3-70b-versatile',
+    embeddingModel: '',
+    authScheme: 'bearer',
+    keyPrefix: 'gsk_'
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    chatModel: 'gpt-4o-mini',
+    embeddingModel: 'text-embedding-3-small',
+    authScheme: 'bearer',
+    keyPrefix: 'sk-'
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    baseUrl: 'http://localhost:11434/v1',
+    chatModel: 'llama3.1',
+    embeddingModel: 'nomic-embed-text',
+    authScheme: 'none',
+    keyPrefix: ''
+  },
+  custom: {
+    label: 'Custom (OpenAI-compatible)',
+    baseUrl: '',
+    chatModel: '',
+    embeddingModel: '',
+    authScheme: 'bearer',
+    keyPrefix: ''
+  }
+};
+
+const LLM_AUTH_SCHEMES = {
+  bearer: 'Authorization: Bearer <key>',
+  'api-key': 'api-key: <key>',
+  none: 'No authentication'
+};
+
+class LLMProvider {
+  constructor(config = {}) {
+    const provider = LLM_PROVIDER_PRESETS[config.provider] ? config.provider : 'groq';
+    const preset = LLM_PROVIDER_PRESETS[provider];
+
+    this.provider = provider;
+    this.baseUrl = (config.baseUrl ?? preset.baseUrl).replace(/\/+$/, '');
+    this.chatModel = config.chatModel ?? preset.chatModel;
+    this.embeddingModel = config.embeddingModel ?? preset.embeddingModel;
+    this.authScheme = LLM_AUTH_SCHEMES[config.authScheme] ? config.authScheme : preset.authScheme;
+    this.apiKey = config.apiKey || '';
+    // Semantic search uses the offline vectorizer unless remote is chosen
+    this.embeddingSource = config.embeddingSource === 'remote' ? 'remote' : 'local';
+  }
+
+  static async load() {
+    const { llmProvider, groqApiKey } = await chrome.storage.local.get(['llmProvider', 'groqApiKey']);
+
+    if (llmProvider) {
+      return new LLMProvider(llmProvider);
+    }
+
+    // Installs from before the provider picker only stored a Groq key
+    if (groqApiKey) {
+      return new LLMProvider({ provider: 'groq', apiKey: groqApiKey });
+    }
+
+    return null;
+  }
+
+  async save() {
+    await chrome.storage.local.set({ llmProvider: this.toJSON() });
+  }
+
+  toJSON() {
+    return {
+      provider: this.provider,
+      baseUrl: this.baseUrl,
+      chatModel: this.chatModel,
+      embeddingModel: this.embeddingModel,
+      authScheme: this.authScheme,
+      apiKey: this.apiKey,
+      embeddingSource: this.embeddingSource
+    };
+  }
+
+  get label() {
+    return LLM_PROVIDER_PRESETS[this.provider].label;
+  }
+
+  isConfigured() {
+    if (!this.baseUrl || !this.chatModel) return false;
+    return this.authScheme === 'none' || Boolean(this.apiKey);
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.authScheme === 'bearer') {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    } else if (this.authScheme === 'api-key') {
+      headers['api-key'] = this.apiKey;
+    }
+
+    return headers;
+  }
+
+  async post(path, body, signal) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      console.error(`${this.label} API error body:`, errorData);
+      throw new Error(`${this.label} API error: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  async chatCompletion(options, { signal, onToken } = {}) {
+    const requestBody = {
+      model: this.chatModel,
+      temperature: 0.7,
+      max_tokens: 2000,
+      top_p: 1,
+      stream: true,
+      ...options
+    };
+
+    const response = await this.post('/chat/completions', requestBody, signal);
+
+    if (!requestBody.stream) {
+      const result = await response.json();
+      return result.choices[0].message;
+    }
+
+    return this.readChatStream(response, onToken);
+  }
+
+  // Parse an OpenAI-style server-sent event stream into a complete message.
+  // Content deltas are reported through onToken as the text grows; tool call
+  // deltas arrive in fragments keyed by index and are stitched together.
+  async readChatStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const message = { role: 'assistant', content: '', tool_calls: [] };
+    let buffer = '';
+    let done = false;
+
+    while (!done) {
+      const chunk = await reader.read();
+      if (chunk.done) {
+        // The last event may end without a newline
+        buffer += decoder.decode();
+        if (buffer) this.readStreamLine(buffer, message, onToken);
+        break;
+      }
+
+      buffer += decoder.decode(chunk.value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (this.readStreamLine(line, message, onToken)) {
+          done = true;
+          break;
+        }
+      }
+    }
+
+    if (done) {
+      reader.cancel().catch(() => {});
+    }
+
+    message.tool_calls = message.tool_calls.filter(Boolean);
+    if (message.tool_calls.length === 0) {
+      delete message.tool_calls;
+    }
+    return message;
+  }
+
+  // Apply one "data: ..." line to the message; true once the stream says [DONE]
+  readStreamLine(line, message, onToken) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return false;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return true;
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      console.warn('Skipping malformed stream event:', payload);
+      return false;
+    }
+
+    const delta = event.choices && event.choices[0] && event.choices[0].delta;
+    if (!delta) return false;
+
+    if (delta.content) {
+      message.content += delta.content;
+      if (onToken) onToken(message.content);
+    }
+
+    if (delta.tool_calls) {
+      delta.tool_calls.forEach(part => {
+        const toolCall = message.tool_calls[part.index] ||
+          (message.tool_calls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (part.id) toolCall.id = part.id;
+        if (part.function && part.function.name) toolCall.function.name += part.function.name;
+        if (part.function && part.function.arguments) toolCall.function.arguments += part.function.arguments;
+      });
+    }
+    return false;
+  }
+
+  async createEmbedding(input) {
+    if (!this.embeddingModel) {
+      throw new Error(`No embedding model configured for ${this.label}`);
+    }
+
+    const response = await this.post('/embeddings', {
+      model: this.embeddingModel,
+      input
+    });
+
+    const data = await response.json();
+    return data.data[0].embedding;
+  }
+
+  async testConnection() {
+    try {
+      await this.chatCompletion({
+        messages: [{ role: 'user', content: 'Hello' }],
+        max_tokens: 5,
+        stream: false
+      });
+      return true;
+    } catch (error) {
+      console.error('Provider connection test failed:', error);
+      return false;
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LLMProvider, LLM_PROVIDER_PRESETS, LLM_AUTH_SCHEMES };
+} else if (typeof window !== 'undefined') {
+  window.LLMProvider = LLMProvider;
+  window.LLM_PROVIDER_PRESETS = LLM_PROVIDER_PRESETS;
+  window.LLM_AUTH_SCHEMES = LLM_AUTH_SCHEMES;
+}
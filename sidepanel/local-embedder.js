@@ -0,0 +1,126 @@
+// Offline TF-IDF vectorizer for semantic search
+// Runs entirely in the side panel. Each text becomes a sparse term-frequency
+// vector that does not depend on the rest of the page, so vectors can be
+// cached per section; IDF weights are computed from the current section set
+// when similarities are scored.
+
+const LOCAL_EMBEDDER_STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'during', 'each', 'for', 'from', 'further', 'had', 'has', 'have',
+  'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'of',
+  'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+  'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you',
+  'your', 'yours'
+]);
+
+class LocalEmbedder {
+  constructor(options = {}) {
+    this.useBigrams = options.useBigrams !== false;
+  }
+
+  tokenize(text) {
+    if (!text) return [];
+
+    return (text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[a-z0-9]+/g) || [])
+      .filter(token => !LOCAL_EMBEDDER_STOPWORDS.has(token))
+      .filter(token => token.length > 1 || /\d/.test(token))
+      .map(token => this.stem(token));
+  }
+
+  // Light suffix stripping so "fees"/"fee" and "applying"/"apply" share a term
+  stem(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+
+    if (token.endsWith('ies') && token.length > 4) return token.slice(0, -3) + 'y';
+    if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+    if (token.endsWith('ed') && token.length > 4) return token.slice(0, -2);
+    if (token.endsWith('es') && /(ss|x|ch|sh)es$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) return token.slice(0, -1);
+    return token;
+  }
+
+  terms(text) {
+    const tokens = this.tokenize(text);
+    const terms = [...tokens];
+
+    if (this.useBigrams) {
+      for (let i = 0; i < tokens.length - 1; i++) {
+        terms.push(`${tokens[i]}_${tokens[i + 1]}`);
+      }
+    }
+
+    return terms;
+  }
+
+  // Sparse vector: { term: 1 + log(tf) }
+  embed(text) {
+    const counts = {};
+    this.terms(text).forEach(term => {
+      counts[term] = (counts[term] || 0) + 1;
+    });
+
+    const vector = {};
+    Object.entries(counts).forEach(([term, count]) => {
+      vector[term] = 1 + Math.log(count);
+    });
+    return vector;
+  }
+
+  computeIDF(vectors) {
+    const documentFrequency = new Map();
+    vectors.forEach(vector => {
+      Object.keys(vector).forEach(term => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    const total = vectors.length;
+    const weights = new Map();
+    documentFrequency.forEach((count, term) => {
+      weights.set(term, Math.log((total + 1) / (count + 1)) + 1);
+    });
+
+    // Terms that never occur in the section set get the maximum weight
+    return { weights, unseenWeight: Math.log(total + 1) + 1 };
+  }
+
+  // Cosine similarity of the IDF-weighted vectors
+  similarity(queryVector, documentVector, idf) {
+    const weight = term => idf.weights.get(term) || idf.unseenWeight;
+
+    let dotProduct = 0;
+    let queryMagnitude = 0;
+    let documentMagnitude = 0;
+
+    Object.entries(queryVector).forEach(([term, value]) => {
+      const weighted = value * weight(term);
+      queryMagnitude += weighted * weighted;
+      if (documentVector[term] !== undefined) {
+        dotProduct += weighted * documentVector[term] * weight(term);
+      }
+    });
+
+    Object.entries(documentVector).forEach(([term, value]) => {
+      const weighted = value * weight(term);
+      documentMagnitude += weighted * weighted;
+    });
+
+    if (queryMagnitude === 0 || documentMagnitude === 0) return 0;
+    return dotProduct / (Math.sqrt(queryMagnitude) * Math.sqrt(documentMagnitude));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalEmbedder;
+} else if (typeof window !== 'undefined') {
+  window.LocalEmbedder = LocalEmbedder;
+}
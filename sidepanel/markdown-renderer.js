@@ -0,0 +1,366 @@
+// Markdown renderer for chat messages
+// Builds DOM nodes directly instead of HTML strings, so raw HTML in page or
+// model text is shown as text and can never run. Only http(s) and mailto
+// links are produced. Interactive parts (copy buttons, citations) carry
+// data-action attributes and are handled by one delegated click listener.
+
+const MARKDOWN_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const MARKDOWN_BLOCK_PATTERNS = {
+  fence: /^\s*(```|~~~)\s*([\w+-]*)\s*$/,
+  heading: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+  quote: /^\s{0,3}>\s?/,
+  listItem: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+  tableDivider: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+};
+
+class MarkdownRenderer {
+  // options.citations: Map of citation number -> { selector, url, heading }
+  constructor(options = {}) {
+    this.citations = options.citations || new Map();
+  }
+
+  render(markdown) {
+    const fragment = document.createDocumentFragment();
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    this.renderBlocks(lines, fragment, false);
+    return fragment;
+  }
+
+  renderBlocks(lines, container, tight) {
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(MARKDOWN_BLOCK_PATTERNS.fence);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        container.appendChild(this.createCodeBlock(code.join('\n'), fence[2]));
+        continue;
+      }
+
+      const heading = line.match(MARKDOWN_BLOCK_PATTERNS.heading);
+      if (heading) {
+        const element = document.createElement(`h${Math.min(6, heading[1].length + 2)}`);
+        element.className = 'md-heading';
+        this.renderInline(heading[2], element);
+        container.appendChild(element);
+        i++;
+        continue;
+      }
+
+      if (MARKDOWN_BLOCK_PATTERNS.rule.test(line)) {
+        container.appendChild(document.createElement('hr'));
+        i++;
+        continue;
+      }
+
+      if (this.isTableStart(lines, i)) {
+        i = this.renderTable(lines, i, container);
+        continue;
+      }
+
+      if (MARKDOWN_BLOCK_PATTERNS.quote.test(line)) {
+        const quoted = [];
+        while (i < lines.length && MARKDOWN_BLOCK_PATTERNS.quote.test(lines[i])) {
+          quoted.push(lines[i].replace(MARKDOWN_BLOCK_PATTERNS.quote, ''));
+          i++;
+        }
+        const blockquote = document.createElement('blockquote');
+        this.renderBlocks(quoted, blockquote, false);
+        container.appendChild(blockquote);
+        continue;
+      }
+
+      if (MARKDOWN_BLOCK_PATTERNS.listItem.test(line)) {
+        i = this.renderList(lines, i, container);
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+
+      if (tight) {
+        if (container.lastChild) container.appendChild(document.createElement('br'));
+        this.renderLines(paragraph, container);
+      } else {
+        const p = document.createElement('p');
+        this.renderLines(paragraph, p);
+        container.appendChild(p);
+      }
+    }
+  }
+
+  startsBlock(lines, i) {
+    const line = lines[i];
+    return MARKDOWN_BLOCK_PATTERNS.fence.test(line) ||
+      MARKDOWN_BLOCK_PATTERNS.heading.test(line) ||
+      MARKDOWN_BLOCK_PATTERNS.rule.test(line) ||
+      MARKDOWN_BLOCK_PATTERNS.quote.test(line) ||
+      MARKDOWN_BLOCK_PATTERNS.listItem.test(line) ||
+      this.isTableStart(lines, i);
+  }
+
+  // Single newlines inside a paragraph are kept as line breaks, as in chat
+  renderLines(lines, container) {
+    lines.forEach((line, index) => {
+      if (index > 0) container.appendChild(document.createElement('br'));
+      this.renderInline(line, container);
+    });
+  }
+
+  renderList(lines, start, container) {
+    const first = lines[start].match(MARKDOWN_BLOCK_PATTERNS.listItem);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(first[2]) !== 1) {
+      list.start = parseInt(first[2]);
+    }
+
+    let i = start;
+    let item = null;
+    let itemLines = [];
+    let loose = false;
+    let contentIndent = 0;
+
+    const finishItem = () => {
+      if (!item) return;
+      this.renderBlocks(itemLines, item, !loose);
+      list.appendChild(item);
+    };
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const match = line.match(MARKDOWN_BLOCK_PATTERNS.listItem);
+
+      if (match && match[1].length <= baseIndent && /\d/.test(match[2]) === ordered) {
+        finishItem();
+        item = document.createElement('li');
+        if (ordered) item.value = parseInt(match[2]);
+        itemLines = [match[3]];
+        loose = false;
+        contentIndent = match[1].length + match[2].length + 1;
+        i++;
+        continue;
+      }
+
+      if (!line.trim()) {
+        // A blank line ends the list unless the list or the item continues after it
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next >= lines.length) break;
+
+        const nextMatch = lines[next].match(MARKDOWN_BLOCK_PATTERNS.listItem);
+        const nextIndent = lines[next].match(/^\s*/)[0].length;
+        const continuesList = nextMatch && nextMatch[1].length <= baseIndent && /\d/.test(nextMatch[2]) === ordered;
+        if (!continuesList && nextIndent <= baseIndent) break;
+
+        if (!continuesList) {
+          itemLines.push('');
+          loose = true;
+        }
+        i = next;
+        continue;
+      }
+
+      const indent = line.match(/^\s*/)[0].length;
+      if (indent <= baseIndent && this.startsBlock(lines, i)) break;
+
+      // Continuation or nested content of the current item
+      itemLines.push(line.substring(Math.min(indent, contentIndent)));
+      i++;
+    }
+
+    finishItem();
+    container.appendChild(list);
+    return i;
+  }
+
+  isTableStart(lines, i) {
+    return i + 1 < lines.length &&
+      lines[i].includes('|') &&
+      MARKDOWN_BLOCK_PATTERNS.tableDivider.test(lines[i + 1]);
+  }
+
+  splitRow(line) {
+    const trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+    return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  renderTable(lines, start, container) {
+    const headers = this.splitRow(lines[start]);
+    const alignments = this.splitRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      return '';
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'md-table-wrapper';
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const tbody = document.createElement('tbody');
+
+    const addRow = (cells, parent, tag) => {
+      const row = document.createElement('tr');
+      headers.forEach((header, index) => {
+        const cell = document.createElement(tag);
+        if (alignments[index]) cell.style.textAlign = alignments[index];
+        this.renderInline(cells[index] || '', cell);
+        row.appendChild(cell);
+      });
+      parent.appendChild(row);
+    };
+
+    addRow(headers, thead, 'th');
+
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      addRow(this.splitRow(lines[i]), tbody, 'td');
+      i++;
+    }
+
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+    return i;
+  }
+
+  createCodeBlock(code, language) {
+    const block = document.createElement('div');
+    block.className = 'md-code-block';
+
+    const header = document.createElement('div');
+    header.className = 'md-code-header';
+
+    const label = document.createElement('span');
+    label.textContent = language || 'text';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.className = 'md-copy-btn';
+    copyBtn.dataset.action = 'copy-code';
+    copyBtn.textContent = 'Copy';
+
+    header.appendChild(label);
+    header.appendChild(copyBtn);
+
+    const pre = document.createElement('pre');
+    const codeElement = document.createElement('code');
+    codeElement.textContent = code;
+    pre.appendChild(codeElement);
+
+    block.appendChild(header);
+    block.appendChild(pre);
+    return block;
+  }
+
+  safeHref(href) {
+    try {
+      const url = new URL(href);
+      return MARKDOWN_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  createLink(href, text) {
+    const safe = this.safeHref(href);
+    if (!safe) return document.createTextNode(text);
+
+    const link = document.createElement('a');
+    link.href = safe;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = text;
+    return link;
+  }
+
+  createCitation(number) {
+    const citation = this.citations.get(number);
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'citation-link';
+    link.dataset.action = 'scroll-to';
+    link.dataset.selector = citation.selector;
+    link.dataset.highlight = 'section';
+    if (citation.url) link.dataset.url = citation.url;
+    link.title = `Show source on page: ${citation.heading}`;
+    link.textContent = `[${number}]`;
+    return link;
+  }
+
+  // Inline spans: code, links, bare URLs, citations, bold, italic, strikethrough
+  renderInline(text, container) {
+    const pattern = /(`+)([\s\S]*?[^`])\1(?!`)|\[([^\]]+)\]\(\s*<?([^\s)>]+)>?\s*\)|<(https?:\/\/[^>\s]+)>|(https?:\/\/[^\s<]+[^\s<.,:;"')\]])|\[(\d+)\]|(\*\*|__)(?=\S)([\s\S]*?\S)\8|(~~)(?=\S)([\s\S]*?\S)~~|\*(?=\S)([\s\S]*?\S)\*|\b_(?=\S)([\s\S]*?\S)_\b/g;
+    let last = 0;
+    let match;
+
+    const appendText = value => {
+      if (value) container.appendChild(document.createTextNode(value));
+    };
+
+    while ((match = pattern.exec(text)) !== null) {
+      appendText(text.substring(last, match.index));
+      last = pattern.lastIndex;
+
+      if (match[1]) {
+        const code = document.createElement('code');
+        code.textContent = match[2].trim() ? match[2].replace(/^ (.*) $/, '$1') : match[2];
+        container.appendChild(code);
+      } else if (match[3] !== undefined) {
+        container.appendChild(this.createLink(match[4], match[3]));
+      } else if (match[5] || match[6]) {
+        const url = match[5] || match[6];
+        container.appendChild(this.createLink(url, url));
+      } else if (match[7] !== undefined) {
+        const number = parseInt(match[7]);
+        if (this.citations.has(number)) {
+          container.appendChild(this.createCitation(number));
+        } else {
+          appendText(match[0]);
+        }
+      } else if (match[8]) {
+        const strong = document.createElement('strong');
+        this.renderInline(match[9], strong);
+        container.appendChild(strong);
+      } else if (match[10]) {
+        const del = document.createElement('del');
+        this.renderInline(match[11], del);
+        container.appendChild(del);
+      } else if (match[12] || match[13]) {
+        const em = document.createElement('em');
+        this.renderInline(match[12] || match[13], em);
+        container.appendChild(em);
+      }
+    }
+
+    appendText(text.substring(last));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownRenderer;
+} else if (typeof window !== 'undefined') {
+  window.MarkdownRenderer = MarkdownRenderer;
+}
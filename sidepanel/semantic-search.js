@@ -1,64 +1,122 @@
+const SEARCH_CACHE_LIMIT = 50;
+
 class SemanticSearch {
   constructor() {
-    this.apiKey = null;
-    this.model = 'llama-3.3-70b-versatile';
+    this.provider = null;
+    this.localEmbedder = new LocalEmbedder();
+    this.retriever = new HybridRetriever();
+    this.embeddingSource = 'local';
     this.contentEmbeddings = new Map();
     this.searchCache = new Map();
+    this.embeddingCache = new EmbeddingCache();
   }
 
-  async initialize(apiKey) {
-    this.apiKey = apiKey;
+  async initialize(provider) {
+    const embeddingSource = provider && provider.embeddingSource === 'remote' ? 'remote' : 'local';
+
+    // Embeddings from a different source or model are not comparable
+    const sourceChanged = embeddingSource !== this.embeddingSource;
+    const modelChanged = this.provider && provider && provider.embeddingModel !== this.provider.embeddingModel;
+    if (sourceChanged || (embeddingSource === 'remote' && modelChanged)) {
+      this.clearEmbeddings();
+      this.clearCache();
+    }
+
+    this.provider = provider;
+    this.embeddingSource = embeddingSource;
   }
 
-  async generateEmbedding(text) {
-    if (!this.apiKey) throw new Error('API key not set');
+  usesLocalEmbeddings() {
+    return this.embeddingSource === 'local';
+  }
 
-    try {
-      const response = await fetch('https://api.groq.com/openai/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: 'llama-3.1-8b-instant',
-          input: text
-        })
-      });
+  // Identifies which embedder produced a cached vector
+  getEmbedderId() {
+    if (this.usesLocalEmbeddings()) return 'local-tfidf-v1';
+    return `remote|${this.provider ? this.provider.baseUrl : ''}|${this.provider ? this.provider.embeddingModel : ''}`;
+  }
 
-      if (!response.ok) {
-        throw new Error(`Groq API error: ${response.status}`);
-      }
+  async generateEmbedding(text) {
+    // The local vectorizer is the default and never leaves the side panel
+    if (this.usesLocalEmbeddings()) {
+      return this.localEmbedder.embed(text);
+    }
 
-      const data = await response.json();
-      return data.data[0].embedding;
+    if (!this.provider) throw new Error('Model provider not set');
+
+    try {
+      return await this.provider.createEmbedding(text);
     } catch (error) {
       console.error('Error generating embedding:', error);
       return null;
     }
   }
 
-  async processContentSections(sections) {
+  async processContentSections(sections, url = '') {
     const processedSections = [];
+    this.contentEmbeddings.clear();
 
     for (const section of sections) {
       const content = this.extractContentForEmbedding(section);
       if (content && content.length > 50) {
-        const embedding = await this.generateEmbedding(content);
-        if (embedding) {
-          this.contentEmbeddings.set(section.id, embedding);
-          processedSections.push({
-            ...section,
-            content: content,
-            embedding: embedding
-          });
-        }
+        processedSections.push({
+          ...section,
+          content: content,
+          contentHash: await EmbeddingCache.hash(content)
+        });
+      }
+    }
+
+    const embedderId = this.getEmbedderId();
+    const hashes = processedSections.map(section => section.contentHash);
+    const cached = await this.readCachedEmbeddings(embedderId, url, hashes);
+    const fresh = new Map();
+
+    for (const section of processedSections) {
+      let embedding = cached.get(section.contentHash);
+
+      if (!embedding) {
+        embedding = fresh.get(section.contentHash) || await this.generateEmbedding(section.content);
+        if (embedding) fresh.set(section.contentHash, embedding);
+      }
+
+      // Sections without an embedding are still searchable by keyword
+      section.embedding = embedding || null;
+      if (embedding) {
+        this.contentEmbeddings.set(section.id, embedding);
       }
     }
 
+    console.log(`Embeddings: ${cached.size} cached, ${fresh.size} computed`);
+    await this.writeCachedEmbeddings(embedderId, url, fresh, hashes);
+
     return processedSections;
   }
 
+  async readCachedEmbeddings(embedderId, url, hashes) {
+    if (!url) return new Map();
+
+    try {
+      return await this.embeddingCache.getMany(embedderId, url, hashes);
+    } catch (error) {
+      console.error('Error reading embedding cache:', error);
+      return new Map();
+    }
+  }
+
+  async writeCachedEmbeddings(embedderId, url, fresh, currentHashes) {
+    if (!url) return;
+
+    try {
+      await this.embeddingCache.putMany(embedderId, url, fresh);
+      // Sections whose text changed leave stale entries behind
+      await this.embeddingCache.prunePage(embedderId, url, currentHashes);
+      await this.embeddingCache.evict();
+    } catch (error) {
+      console.error('Error writing embedding cache:', error);
+    }
+  }
+
   extractContentForEmbedding(section) {
     const parts = [];
 
@@ -78,37 +136,46 @@ class SemanticSearch {
   }
 
   async semanticSearch(query, sections, maxResults = 5) {
-    if (!this.apiKey) throw new Error('API key not set');
-
-    const cacheKey = `${query}_${sections.length}`;
+    // Keyed by section content, so results never leak across pages or edits
+    const cacheKey = `${query}|${sections.map(section => (section.contentHash || section.id).toString().slice(0, 16)).join(',')}`;
     if (this.searchCache.has(cacheKey)) {
       return this.searchCache.get(cacheKey);
     }
 
     try {
+      // Vector scores are optional: keyword ranking still works without them
+      const vectorScores = new Map();
       const queryEmbedding = await this.generateEmbedding(query);
-      if (!queryEmbedding) return [];
 
-      const similarities = sections
-        .filter(section => this.contentEmbeddings.has(section.id))
-        .map(section => ({
-          section,
-          similarity: this.calculateCosineSimilarity(
+      if (queryEmbedding) {
+        const candidates = sections.filter(section => this.contentEmbeddings.has(section.id));
+        const idf = this.usesLocalEmbeddings()
+          ? this.localEmbedder.computeIDF(candidates.map(section => this.contentEmbeddings.get(section.id)))
+          : null;
+
+        candidates.forEach(section => {
+          vectorScores.set(section.id, this.calculateSimilarity(
             queryEmbedding,
-            this.contentEmbeddings.get(section.id)
-          )
-        }))
-        .filter(result => result.similarity > 0.1)
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, maxResults);
-
-      const results = similarities.map(result => ({
-        ...result.section,
-        relevanceScore: result.similarity,
-        relevanceLabel: this.getRelevanceLabel(result.similarity)
+            this.contentEmbeddings.get(section.id),
+            idf
+          ));
+        });
+      }
+
+      const ranked = this.retriever.rank(query, sections, vectorScores, {
+        maxResults,
+        minVectorScore: this.usesLocalEmbeddings() ? 0.05 : 0.1
+      });
+
+      const results = ranked.map(result => ({
+        ...result,
+        relevanceLabel: this.getRelevanceLabel(result.relevanceScore)
       }));
 
       this.searchCache.set(cacheKey, results);
+      if (this.searchCache.size > SEARCH_CACHE_LIMIT) {
+        this.searchCache.delete(this.searchCache.keys().next().value);
+      }
       return results;
     } catch (error) {
       console.error('Error in semantic search:', error);
@@ -116,6 +183,14 @@ class SemanticSearch {
     }
   }
 
+  // Dense vectors come from a remote embedding model, sparse ones from LocalEmbedder
+  calculateSimilarity(queryEmbedding, sectionEmbedding, idf) {
+    if (Array.isArray(queryEmbedding)) {
+      return this.calculateCosineSimilarity(queryEmbedding, sectionEmbedding);
+    }
+    return this.localEmbedder.similarity(queryEmbedding, sectionEmbedding, idf);
+  }
+
   calculateCosineSimilarity(vecA, vecB) {
     const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
     const magnitudeA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
@@ -178,6 +253,7 @@ class SemanticSearch {
         if (existing && result.relevanceScore > existing.relevanceScore) {
           existing.relevanceScore = result.relevanceScore;
           existing.relevanceLabel = result.relevanceLabel;
+          existing.matchExplanation = result.matchExplanation;
         }
         return false;
       }
@@ -193,6 +269,12 @@ class SemanticSearch {
   clearEmbeddings() {
     this.contentEmbeddings.clear();
   }
+
+  async clearPersistentCache() {
+    this.clearEmbeddings();
+    this.clearCache();
+    await this.embeddingCache.clear();
+  }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
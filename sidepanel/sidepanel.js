@@ -1,5 +1,5 @@
 // University of Calgary ChatBot Side Panel JavaScript
-// Handles API key modal, chat functionality, and Groq LLM integration
+// Handles provider setup, chat functionality, and LLM integration
 
 class APIKeyModal {
   constructor() {
@@ -10,7 +10,27 @@ class APIKeyModal {
     this.saveBtn = document.getElementById('modalSave');
     this.input = document.getElementById('apiKeyInput');
     this.validation = document.getElementById('inputValidation');
-
+    this.providerSelect = document.getElementById('providerSelect');
+    this.baseUrlInput = document.getElementById('baseUrlInput');
+    this.chatModelInput = document.getElementById('chatModelInput');
+    this.embeddingModelInput = document.getElementById('embeddingModelInput');
+    this.embeddingSourceSelect = document.getElementById('embeddingSourceSelect');
+    this.authSchemeSelect = document.getElementById('authSchemeSelect');
+    this.advanced = document.getElementById('providerAdvanced');
+    this.apiKeyGroup = document.getElementById('apiKeyGroup');
+    this.groqSteps = document.getElementById('groqSetupSteps');
+    this.cacheStatus = document.getElementById('cacheStatus');
+    this.clearCacheBtn = document.getElementById('clearCacheBtn');
+    this.embeddingCache = new EmbeddingCache();
+    this.profileFields = document.getElementById('studentProfileFields');
+    this.profileStatus = document.getElementById('studentProfileStatus');
+    this.saveProfileBtn = document.getElementById('saveProfileBtn');
+    this.profileInputs = {};
+    this.allowlistInput = document.getElementById('allowlistInput');
+    this.allowlistStatus = document.getElementById('allowlistStatus');
+    this.saveAllowlistBtn = document.getElementById('saveAllowlistBtn');
+
+    this.renderProfileFields();
     this.setupEventListeners();
   }
 
@@ -31,27 +51,176 @@ class APIKeyModal {
       this.saveBtn.addEventListener('click', () => this.handleSave());
     }
 
-    if (this.input) {
-      this.input.addEventListener('input', () => this.validateInput());
-      this.input.addEventListener('keydown', (e) => {
+    if (this.providerSelect) {
+      this.providerSelect.addEventListener('change', () => {
+        this.applyPreset(this.providerSelect.value);
+        this.validateInput();
+      });
+    }
+
+    if (this.authSchemeSelect) {
+      this.authSchemeSelect.addEventListener('change', () => {
+        this.updateFieldVisibility();
+        this.validateInput();
+      });
+    }
+
+    if (this.embeddingSourceSelect) {
+      this.embeddingSourceSelect.addEventListener('change', () => this.validateInput());
+    }
+
+    if (this.clearCacheBtn) {
+      this.clearCacheBtn.addEventListener('click', () => this.clearEmbeddingCache());
+    }
+
+    if (this.saveProfileBtn) {
+      this.saveProfileBtn.addEventListener('click', () => this.saveProfile());
+    }
+
+    if (this.saveAllowlistBtn) {
+      this.saveAllowlistBtn.addEventListener('click', () => this.saveAllowlist());
+    }
+
+    [this.input, this.baseUrlInput, this.chatModelInput, this.embeddingModelInput].forEach(field => {
+      if (!field) return;
+      field.addEventListener('input', () => this.validateInput());
+      field.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
           e.preventDefault();
           this.handleSave();
         }
       });
-    }
+    });
   }
 
-  show() {
+  show(provider = null) {
     if (this.modal) {
+      this.fillForm(provider);
       this.modal.style.display = 'flex';
       document.body.style.overflow = 'hidden';
+      this.validateInput();
+      this.refreshCacheStatus();
+      this.loadProfile();
+      this.loadAllowlist();
       if (this.input) {
         this.input.focus();
       }
     }
   }
 
+  async refreshCacheStatus() {
+    if (!this.cacheStatus) return;
+
+    try {
+      const stats = await this.embeddingCache.getStats();
+      const size = stats.bytes < 1024 * 1024
+        ? `${Math.ceil(stats.bytes / 1024)} KB`
+        : `${(stats.bytes / (1024 * 1024)).toFixed(1)} MB`;
+      this.cacheStatus.textContent = `${stats.entries} sections from ${stats.pages} pages (${size})`;
+    } catch (error) {
+      console.error('Failed to read embedding cache stats:', error);
+      this.cacheStatus.textContent = 'Unavailable';
+    }
+  }
+
+  async clearEmbeddingCache() {
+    try {
+      if (window.chatBot && window.chatBot.semanticSearch) {
+        await window.chatBot.semanticSearch.clearPersistentCache();
+        window.chatBot.semanticSections = [];
+      } else {
+        await this.embeddingCache.clear();
+      }
+    } catch (error) {
+      console.error('Failed to clear embedding cache:', error);
+    }
+
+    this.refreshCacheStatus();
+  }
+
+  renderProfileFields() {
+    if (!this.profileFields) return;
+
+    STUDENT_PROFILE_FIELDS.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'api-key-input-group';
+
+      const label = document.createElement('label');
+      label.htmlFor = `profile-${field.key}`;
+      label.textContent = `${field.label}:`;
+
+      const input = document.createElement('input');
+      input.type = field.type;
+      input.id = `profile-${field.key}`;
+      input.className = 'api-key-input';
+      input.autocomplete = field.autocomplete;
+
+      group.appendChild(label);
+      group.appendChild(input);
+      this.profileFields.appendChild(group);
+      this.profileInputs[field.key] = input;
+    });
+  }
+
+  async loadProfile() {
+    try {
+      const profile = await StudentProfile.load();
+      Object.entries(this.profileInputs).forEach(([key, input]) => {
+        input.value = profile[key] || '';
+      });
+    } catch (error) {
+      console.error('Failed to load student profile:', error);
+    }
+  }
+
+  async saveProfile() {
+    const values = {};
+    Object.entries(this.profileInputs).forEach(([key, input]) => {
+      values[key] = input.value;
+    });
+
+    try {
+      const profile = await StudentProfile.save(values);
+      if (this.profileStatus) {
+        this.profileStatus.textContent = `Saved ${Object.keys(profile).length} fields`;
+      }
+    } catch (error) {
+      console.error('Failed to save student profile:', error);
+      if (this.profileStatus) this.profileStatus.textContent = 'Could not save profile';
+    }
+  }
+
+  async loadAllowlist() {
+    if (!this.allowlistInput) return;
+
+    try {
+      const policy = await ActionPolicy.load();
+      this.allowlistInput.value = policy.allowlist.join('\n');
+    } catch (error) {
+      console.error('Failed to load action policy:', error);
+    }
+  }
+
+  async saveAllowlist() {
+    if (!this.allowlistInput) return;
+
+    const allowlist = this.allowlistInput.value
+      .split('\n')
+      .map(line => ActionPolicy.normalizePattern(line))
+      .filter(Boolean);
+
+    try {
+      await new ActionPolicy({ allowlist }).save();
+      this.allowlistInput.value = allowlist.join('\n');
+      if (this.allowlistStatus) {
+        this.allowlistStatus.textContent = `Saved ${allowlist.length} site${allowlist.length === 1 ? '' : 's'}`;
+      }
+    } catch (error) {
+      console.error('Failed to save action policy:', error);
+      if (this.allowlistStatus) this.allowlistStatus.textContent = 'Could not save allowlist';
+    }
+  }
+
   hide() {
     if (this.modal) {
       this.modal.style.display = 'none';
@@ -60,6 +229,68 @@ class APIKeyModal {
     }
   }
 
+  // Populate the form from a saved provider, or from the Groq preset on first run
+  fillForm(provider) {
+    const config = provider ? provider.toJSON() : { provider: 'groq', ...LLM_PROVIDER_PRESETS.groq };
+
+    if (this.providerSelect) this.providerSelect.value = config.provider;
+    if (this.baseUrlInput) this.baseUrlInput.value = config.baseUrl;
+    if (this.chatModelInput) this.chatModelInput.value = config.chatModel;
+    if (this.embeddingModelInput) this.embeddingModelInput.value = config.embeddingModel;
+    if (this.authSchemeSelect) this.authSchemeSelect.value = config.authScheme;
+    if (this.embeddingSourceSelect) this.embeddingSourceSelect.value = config.embeddingSource || 'local';
+    if (this.input) this.input.value = config.apiKey || '';
+    if (this.advanced) this.advanced.open = config.provider === 'custom';
+
+    this.updateFieldVisibility();
+  }
+
+  applyPreset(providerName) {
+    const preset = LLM_PROVIDER_PRESETS[providerName];
+    if (!preset) return;
+
+    if (this.baseUrlInput) this.baseUrlInput.value = preset.baseUrl;
+    if (this.chatModelInput) this.chatModelInput.value = preset.chatModel;
+    if (this.embeddingModelInput) this.embeddingModelInput.value = preset.embeddingModel;
+    if (this.authSchemeSelect) this.authSchemeSelect.value = preset.authScheme;
+    if (this.advanced) this.advanced.open = providerName === 'custom';
+
+    this.updateFieldVisibility();
+  }
+
+  updateFieldVisibility() {
+    const providerName = this.providerSelect ? this.providerSelect.value : 'groq';
+    const preset = LLM_PROVIDER_PRESETS[providerName];
+
+    if (this.groqSteps) {
+      this.groqSteps.style.display = providerName === 'groq' ? '' : 'none';
+    }
+
+    if (this.apiKeyGroup) {
+      this.apiKeyGroup.style.display = this.getAuthScheme() === 'none' ? 'none' : '';
+    }
+
+    if (this.input) {
+      this.input.placeholder = preset.keyPrefix ? `${preset.keyPrefix}...` : 'API key';
+    }
+  }
+
+  getAuthScheme() {
+    return this.authSchemeSelect ? this.authSchemeSelect.value : 'bearer';
+  }
+
+  readProvider() {
+    return new LLMProvider({
+      provider: this.providerSelect ? this.providerSelect.value : 'groq',
+      baseUrl: this.baseUrlInput ? this.baseUrlInput.value.trim() : undefined,
+      chatModel: this.chatModelInput ? this.chatModelInput.value.trim() : undefined,
+      embeddingModel: this.embeddingModelInput ? this.embeddingModelInput.value.trim() : undefined,
+      authScheme: this.getAuthScheme(),
+      apiKey: this.input ? this.input.value.trim() : '',
+      embeddingSource: this.embeddingSourceSelect ? this.embeddingSourceSelect.value : 'local'
+    });
+  }
+
   clearInput() {
     if (this.input) {
       this.input.value = '';
@@ -77,105 +308,667 @@ class APIKeyModal {
   validateInput() {
     if (!this.input || !this.validation || !this.saveBtn) return false;
 
-    const apiKey = this.input.value.trim();
+    const provider = this.readProvider();
+    const preset = LLM_PROVIDER_PRESETS[provider.provider];
+    const apiKey = provider.apiKey;
+
+    if (!/^https?:\/\//.test(provider.baseUrl)) {
+      return this.rejectInput('Please enter a base URL starting with http:// or https://');
+    }
+
+    if (!provider.chatModel) {
+      return this.rejectInput('Please enter a chat model name');
+    }
+
+    if (provider.embeddingSource === 'remote' && !provider.embeddingModel) {
+      return this.rejectInput('Remote embeddings need an embedding model name');
+    }
+
+    if (provider.authScheme !== 'none') {
+      if (!apiKey) {
+        return this.rejectInput('Please enter your API key');
+      }
+
+      if (preset.keyPrefix && !apiKey.startsWith(preset.keyPrefix)) {
+        return this.rejectInput(`Invalid API key format. ${preset.label} API keys should start with "${preset.keyPrefix}"`);
+      }
+
+      if (preset.keyPrefix && apiKey.length < 20) {
+        return this.rejectInput('API key appears to be too short');
+      }
+    }
+
+    this.showValidation('Settings look valid!', 'success');
+    this.input.classList.remove('error');
+    this.input.classList.add('success');
+    this.saveBtn.disabled = false;
+    return true;
+  }
+
+  rejectInput(message) {
+    this.showValidation(message, 'error');
+    this.input.classList.add('error');
+    this.input.classList.remove('success');
+    this.saveBtn.disabled = true;
+    return false;
+  }
+
+  showValidation(message, type) {
+    this.validation.textContent = message;
+    this.validation.classList.remove('error', 'success');
+    this.validation.classList.add(type);
+  }
+
+  async handleSave() {
+    if (!this.validateInput() || !this.input) return;
+
+    const provider = this.readProvider();
+
+    try {
+      // Test the provider with a simple request
+      this.showValidation(`Testing connection to ${provider.label}...`, 'success');
+      const isValid = await provider.testConnection();
+
+      if (isValid) {
+        await provider.save();
+        this.hide();
+        // Hand the new provider to the chatbot, initializing it on first run
+        window.chatBot.setProvider(provider);
+      } else {
+        this.rejectInput('Connection test failed. Please check the URL, model and key.');
+      }
+    } catch (error) {
+      console.error('Error testing provider:', error);
+      this.rejectInput('Error validating settings. Please try again.');
+    }
+  }
+}
+
+// Conversation list: switch, rename, delete and search threads, and choose
+// whether threads follow the active tab or site
+class ConversationPanel {
+  constructor(chatBot) {
+    this.chatBot = chatBot;
+    this.modal = document.getElementById('conversationsModal');
+    this.closeBtn = document.getElementById('conversationsClose');
+    this.searchInput = document.getElementById('conversationSearch');
+    this.bindingSelect = document.getElementById('conversationBindingSelect');
+    this.list = document.getElementById('conversationList');
+    this.importBtn = document.getElementById('importConversationsBtn');
+    this.importInput = document.getElementById('importConversationsInput');
+    this.transferStatus = document.getElementById('conversationTransferStatus');
+    this.searchTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  get store() {
+    return this.chatBot.conversations;
+  }
+
+  setupEventListeners() {
+    if (this.closeBtn) {
+      this.closeBtn.addEventListener('click', () => this.hide());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.hide();
+        }
+      });
+    }
+
+    if (this.searchInput) {
+      this.searchInput.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.render(), 200);
+      });
+    }
+
+    if (this.modal) {
+      this.modal.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => this.exportConversations(button.dataset.export));
+      });
+    }
+
+    if (this.importBtn && this.importInput) {
+      this.importBtn.addEventListener('click', () => this.importInput.click());
+      this.importInput.addEventListener('change', () => {
+        const file = this.importInput.files[0];
+        this.importInput.value = '';
+        if (file) this.importConversations(file);
+      });
+    }
+
+    if (this.bindingSelect) {
+      this.bindingSelect.addEventListener('change', async () => {
+        await this.store.setAutoBind(this.bindingSelect.value);
+        await this.chatBot.followActiveTab();
+        this.render();
+      });
+    }
+  }
+
+  show() {
+    if (!this.modal) return;
+
+    if (this.searchInput) this.searchInput.value = '';
+    if (this.bindingSelect) this.bindingSelect.value = this.store.autoBind;
+    this.setTransferStatus('');
+    this.modal.style.display = 'flex';
+    this.render();
+  }
+
+  hide() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  async render() {
+    if (!this.list) return;
+
+    const query = this.searchInput ? this.searchInput.value.trim() : '';
+    const entries = query
+      ? await this.store.search(query)
+      : this.store.list().map(conversation => ({ conversation }));
+
+    this.list.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'conversation-meta';
+      empty.textContent = query ? `No conversations mention "${query}"` : 'No conversations yet';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => this.list.appendChild(this.createItem(entry)));
+  }
+
+  createItem({ conversation, hits, snippet }) {
+    const item = document.createElement('li');
+    item.className = 'conversation-item';
+    if (conversation.id === this.store.index.activeId) {
+      item.classList.add('active');
+    }
+
+    const info = document.createElement('div');
+    info.className = 'conversation-info';
+
+    const name = document.createElement('div');
+    name.className = 'conversation-name';
+    name.textContent = conversation.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'conversation-meta';
+    meta.textContent = this.describe(conversation, hits);
+
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    if (snippet) {
+      const snippetElement = document.createElement('div');
+      snippetElement.className = 'conversation-snippet';
+      snippetElement.textContent = snippet;
+      info.appendChild(snippetElement);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'conversation-actions';
+
+    const renameBtn = document.createElement('button');
+    renameBtn.textContent = '✏️';
+    renameBtn.title = 'Rename';
+    renameBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.startRename(conversation, name);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.title = 'Delete';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+
+      // First click arms the button, the second one deletes
+      if (!deleteBtn.classList.contains('confirm')) {
+        deleteBtn.classList.add('confirm');
+        deleteBtn.textContent = 'Delete?';
+        return;
+      }
+
+      await this.chatBot.deleteConversation(conversation.id);
+      this.render();
+    });
+
+    actions.appendChild(renameBtn);
+    actions.appendChild(deleteBtn);
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    item.addEventListener('click', async () => {
+      await this.chatBot.switchConversation(conversation.id);
+      this.hide();
+    });
+
+    return item;
+  }
+
+  setTransferStatus(text) {
+    if (this.transferStatus) {
+      this.transferStatus.textContent = text;
+    }
+  }
+
+  async exportConversations(format) {
+    const conversation = this.store.active;
+
+    try {
+      if (format === 'all') {
+        const entries = [];
+        for (const item of this.store.list()) {
+          entries.push({ conversation: item, messages: await this.store.getMessages(item.id) });
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        ConversationExporter.download(`uofc-chat-conversations-${date}.json`, ConversationExporter.toJSON(entries), 'application/json');
+        this.setTransferStatus(`Exported ${entries.length} conversations`);
+        return;
+      }
+
+      const messages = await this.store.getMessages(conversation.id);
+
+      if (format === 'markdown') {
+        ConversationExporter.download(ConversationExporter.filename(conversation, 'md'),
+          ConversationExporter.toMarkdown(conversation, messages), 'text/markdown');
+      } else if (format === 'html') {
+        ConversationExporter.download(ConversationExporter.filename(conversation, 'html'),
+          ConversationExporter.toHTML(conversation, messages), 'text/html');
+      } else {
+        ConversationExporter.download(ConversationExporter.filename(conversation, 'json'),
+          ConversationExporter.toJSON([{ conversation, messages }]), 'application/json');
+      }
+      this.setTransferStatus(`Exported "${conversation.title}"`);
+    } catch (error) {
+      console.error('Failed to export conversations:', error);
+      this.setTransferStatus(`Export failed: ${error.message}`);
+    }
+  }
+
+  async importConversations(file) {
+    try {
+      const entries = ConversationExporter.parseJSON(await file.text());
+      const summary = await this.store.importConversations(entries);
+      this.setTransferStatus(`Imported ${summary.messages} messages: ${summary.added} new conversations, ${summary.merged} merged`);
+
+      // The open thread may have gained messages
+      if (!this.chatBot.isTyping) {
+        await this.chatBot.showConversation();
+      }
+      this.render();
+    } catch (error) {
+      console.error('Failed to import conversations:', error);
+      this.setTransferStatus(`Import failed: ${error.message}`);
+    }
+  }
+
+  describe(conversation, hits) {
+    const parts = [`${conversation.messageCount || 0} messages`];
+
+    if (hits) {
+      parts.push(`${hits} matching`);
+    }
+
+    if (conversation.binding) {
+      try {
+        parts.push(conversation.binding.type === 'tab' ? 'bound to a tab' : `bound to ${new URL(conversation.binding.value).hostname}`);
+      } catch (error) {
+        // A binding without a parseable origin is just not shown
+      }
+    } else if (conversation.pageContext && conversation.pageContext.url) {
+      try {
+        parts.push(new URL(conversation.pageContext.url).hostname);
+      } catch (error) {
+        // Page context without a parseable URL is just not shown
+      }
+    }
+
+    parts.push(new Date(conversation.updatedAt).toLocaleDateString());
+    return parts.join(' · ');
+  }
+
+  startRename(conversation, nameElement) {
+    const input = document.createElement('input');
+    input.className = 'conversation-rename-input';
+    input.value = conversation.title;
+
+    const finish = async (save) => {
+      if (save) {
+        await this.store.rename(conversation.id, input.value);
+        this.chatBot.updateConversationTitle();
+      }
+      this.render();
+    };
+
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+}
+
+// Action log: every tool call and page action the service worker ran, with
+// filters, expandable details and a JSON export for review
+class AuditLogPanel {
+  constructor() {
+    this.log = new AuditLog();
+    this.modal = document.getElementById('auditLogModal');
+    this.closeBtn = document.getElementById('auditLogClose');
+    this.filterInput = document.getElementById('auditLogFilter');
+    this.statusSelect = document.getElementById('auditLogStatus');
+    this.summary = document.getElementById('auditLogSummary');
+    this.list = document.getElementById('auditLogList');
+    this.exportBtn = document.getElementById('exportAuditLogBtn');
+    this.clearBtn = document.getElementById('clearAuditLogBtn');
+    this.entries = [];
+    this.expanded = new Set();
+    this.filterTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.closeBtn) {
+      this.closeBtn.addEventListener('click', () => this.hide());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.hide();
+        }
+      });
+    }
+
+    if (this.filterInput) {
+      this.filterInput.addEventListener('input', () => {
+        clearTimeout(this.filterTimer);
+        this.filterTimer = setTimeout(() => this.render(), 200);
+      });
+    }
+
+    if (this.statusSelect) {
+      this.statusSelect.addEventListener('change', () => this.render());
+    }
+
+    if (this.exportBtn) {
+      this.exportBtn.addEventListener('click', () => this.exportEntries());
+    }
+
+    if (this.clearBtn) {
+      this.clearBtn.addEventListener('click', () => this.clearEntries());
+    }
+
+    // Keep the open list current while the assistant is working
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[AUDIT_LOG_KEY] && this.isOpen()) {
+        this.entries = changes[AUDIT_LOG_KEY].newValue || [];
+        this.render();
+      }
+    });
+  }
+
+  isOpen() {
+    return this.modal && this.modal.style.display === 'flex';
+  }
+
+  async show() {
+    if (!this.modal) return;
+
+    if (this.filterInput) this.filterInput.value = '';
+    if (this.statusSelect) this.statusSelect.value = 'all';
+    this.resetClearButton();
+    this.expanded.clear();
+    this.modal.style.display = 'flex';
+
+    this.entries = await this.log.list();
+    this.render();
+  }
+
+  hide() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  filtered() {
+    const query = this.filterInput ? this.filterInput.value.trim().toLowerCase() : '';
+    const status = this.statusSelect ? this.statusSelect.value : 'all';
+
+    return this.entries.filter(entry => {
+      if (status === 'error' && entry.success) return false;
+      if ((status === 'mcpCall' || status === 'pageAction') && entry.kind !== status) return false;
+      if (!query) return true;
+
+      return [entry.method, entry.url, entry.error, entry.result, entry.initiator]
+        .some(value => value && String(value).toLowerCase().includes(query));
+    });
+  }
+
+  render() {
+    if (!this.list) return;
+
+    const entries = this.filtered();
+    this.list.innerHTML = '';
+
+    if (this.summary) {
+      const errors = this.entries.filter(entry => !entry.success).length;
+      this.summary.textContent = `Showing ${entries.length} of ${this.entries.length} entries · ${errors} errors`;
+    }
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'conversation-meta';
+      empty.textContent = this.entries.length ? 'No entries match the filter' : 'No actions recorded yet';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => this.list.appendChild(this.createItem(entry)));
+  }
+
+  createItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'conversation-item audit-item';
+    if (!entry.success) item.classList.add('audit-error');
+
+    const info = document.createElement('div');
+    info.className = 'conversation-info';
+
+    const name = document.createElement('div');
+    name.className = 'conversation-name';
+    name.textContent = `${entry.success ? '✓' : '✗'} ${entry.method}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'conversation-meta';
+    meta.textContent = this.describe(entry);
 
-    if (!apiKey) {
-      this.showValidation('Please enter your API key', 'error');
-      this.input.classList.add('error');
-      this.input.classList.remove('success');
-      this.saveBtn.disabled = true;
-      return false;
-    }
+    const outcome = document.createElement('div');
+    outcome.className = 'conversation-snippet';
+    outcome.textContent = entry.success ? entry.result : entry.error;
 
-    if (!apiKey.startsWith('gsk_')) {
-      this.showValidation('Invalid API key format. Groq API keys should start with "gsk_"', 'error');
-      this.input.classList.add('error');
-      this.input.classList.remove('success');
-      this.saveBtn.disabled = true;
-      return false;
-    }
+    info.appendChild(name);
+    info.appendChild(meta);
+    info.appendChild(outcome);
 
-    if (apiKey.length < 20) {
-      this.showValidation('API key appears to be too short', 'error');
-      this.input.classList.add('error');
-      this.input.classList.remove('success');
-      this.saveBtn.disabled = true;
-      return false;
+    if (this.expanded.has(entry.id)) {
+      info.appendChild(this.createDetails(entry));
     }
 
-    this.showValidation('API key format looks valid!', 'success');
-    this.input.classList.remove('error');
-    this.input.classList.add('success');
-    this.saveBtn.disabled = false;
-    return true;
-  }
+    item.appendChild(info);
+    item.addEventListener('click', () => {
+      if (this.expanded.has(entry.id)) {
+        this.expanded.delete(entry.id);
+      } else {
+        this.expanded.add(entry.id);
+      }
+      this.render();
+    });
 
-  showValidation(message, type) {
-    this.validation.textContent = message;
-    this.validation.classList.remove('error', 'success');
-    this.validation.classList.add(type);
+    return item;
   }
 
-  async handleSave() {
-    if (!this.validateInput() || !this.input) return;
+  createDetails(entry) {
+    const details = document.createElement('pre');
+    details.className = 'audit-details';
+    details.textContent = JSON.stringify({
+      url: entry.url,
+      tabId: entry.tabId,
+      frameId: entry.frameId,
+      initiator: entry.initiator,
+      params: entry.params,
+      result: entry.result,
+      error: entry.error
+    }, null, 2);
+    return details;
+  }
 
-    const apiKey = this.input.value.trim();
+  describe(entry) {
+    const parts = [new Date(entry.timestamp).toLocaleTimeString()];
 
-    try {
-      // Test the API key with a simple request
-      const isValid = await this.testAPIKey(apiKey);
+    parts.push(entry.kind === 'pageAction' ? `frame ${entry.frameId}` : entry.initiator);
+    parts.push(`${entry.durationMs} ms`);
 
-      if (isValid) {
-        // Save the API key to storage
-        await chrome.storage.local.set({ groqApiKey: apiKey });
-        this.hide();
-        // Trigger chatbot initialization
-        window.chatBot.init();
-      } else {
-        this.showValidation('API key validation failed. Please check your key.', 'error');
-        this.input.classList.add('error');
-        this.input.classList.remove('success');
+    if (entry.url) {
+      try {
+        parts.push(new URL(entry.url).hostname || entry.url);
+      } catch (error) {
+        parts.push(entry.url);
       }
-    } catch (error) {
-      console.error('Error testing API key:', error);
-      this.showValidation('Error validating API key. Please try again.', 'error');
-      this.input.classList.add('error');
-      this.input.classList.remove('success');
     }
+
+    return parts.join(' · ');
   }
 
-  async testAPIKey(apiKey) {
-    try {
-      const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: 'llama-3.3-70b-versatile',
-          messages: [{ role: 'user', content: 'Hello' }],
-          max_tokens: 5
-        })
-      });
+  exportEntries() {
+    const entries = this.filtered();
+    const date = new Date().toISOString().split('T')[0];
+    ConversationExporter.download(`uofc-chat-action-log-${date}.json`,
+      JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2), 'application/json');
+  }
 
-      return response.ok;
-    } catch (error) {
-      console.error('API key test failed:', error);
-      return false;
+  // First click asks, second click clears
+  async clearEntries() {
+    if (!this.clearBtn.classList.contains('confirm')) {
+      this.clearBtn.classList.add('confirm');
+      this.clearBtn.textContent = 'Clear all entries?';
+      return;
     }
+
+    await this.log.clear();
+    this.entries = [];
+    this.expanded.clear();
+    this.resetClearButton();
+    this.render();
+  }
+
+  resetClearButton() {
+    if (!this.clearBtn) return;
+    this.clearBtn.classList.remove('confirm');
+    this.clearBtn.textContent = 'Clear';
   }
 }
 
+// Page actions the model may call while answering a chat message
+const CHAT_TOOL_NAMES = [
+  'page_extractMainContent',
+  'page_extractMarkdown',
+  'page_extractStructuredData',
+  'page_findSections',
+  'page_scrollToSection',
+  'page_getAllLinks',
+  'page_extractTables',
+  'page_extractFormFields',
+  'page_fillForm',
+  'browser_navigate',
+  'browser_click',
+  'browser_listTabs',
+  'browser_switchTab',
+  'browser_openTab',
+  'browser_closeTab'
+];
+
+// executeMCPAction names for the browser-level chat tools
+const BROWSER_TOOL_ACTIONS = {
+  browser_navigate: 'navigate',
+  browser_click: 'click',
+  browser_listTabs: 'listTabs',
+  browser_switchTab: 'switchTab',
+  browser_openTab: 'openTab',
+  browser_closeTab: 'closeTab'
+};
+
+const MAX_TOOL_ROUNDS = 5;
+// Workflow replay waits this long for each step's target to appear
+const WORKFLOW_STEP_TIMEOUT_MS = 10000;
+const WORKFLOW_RETRY_MS = 500;
+// Command replies that mean the step did not do its job
+const WORKFLOW_FAILED_REPLY = /^(❌|Failed|Sorry|Unknown web command|No semantic content|Semantic \w+ (is not available|failed))/;
+// Unanswered confirmations are treated as "don't allow"
+const ACTION_CONFIRM_TIMEOUT_MS = 120000;
+const MAX_TOOL_RESULT_CHARS = 8000;
+// "show tables" renders this many rows of each table; exports have them all
+const TABLE_PREVIEW_ROWS = 15;
+// Plain chat questions that read like lookups (see TableQA.isLookupQuestion)
+// are answered from a table directly only above this match score; "table: ..."
+// questions accept weaker matches and ask the model
+const TABLE_QA_DIRECT_SCORE = 0.6;
+
+const TABLE_QA_PROMPT = 'You pick the table cell that answers a question about a web page. ' +
+  'Tables, rows and columns are numbered from 1. Answer with JSON only: ' +
+  '{"table": <number>, "row": <number>, "column": <number>}, or {"table": null} if no cell answers it.';
+
+// Retrieval-augmented answers: the best matching page sections are sent as
+// numbered sources the model cites as [1], [2], ...
+const RAG_MAX_SOURCES = 4;
+const RAG_MIN_RELEVANCE = 0.15;
+const RAG_SOURCE_CHARS = 1500;
+
+const CHAT_SYSTEM_PROMPT = 'You are UofC ChatBot, an assistant for University of Calgary students. ' +
+  'You can inspect and interact with the web page the student is currently viewing by calling tools. ' +
+  'When a question is about the current page, use the tools to read it instead of guessing, ' +
+  'and scroll to the relevant section when the student asks where something is. ' +
+  'Other open tabs can be read without switching to them: list them with browser_listTabs ' +
+  'and pass their tabId to the page tools. ' +
+  'Only navigate, click, or open, switch or close tabs when the student asks you to.';
+
 class ChatBot {
   constructor() {
     this.messages = [];
+    this.conversations = new ConversationStore();
+    this.conversationPanel = new ConversationPanel(this);
+    this.auditLogPanel = new AuditLogPanel();
     this.isTyping = false;
     this.apiKeyModal = new APIKeyModal();
+    this.provider = null;
     this.initialized = false;
     this.mcpEnabled = false;
     this.semanticSearch = null;
     this.semanticSections = [];
+    this.semanticSectionsUrl = null;
+    this.abortController = null;
+    this.streamingText = '';
+    this.pendingConfirmations = new Map();
+    this.recording = null;
+    // Export buttons -> the table they export
+    this.tableExports = new WeakMap();
   }
 
   async init() {
@@ -184,24 +977,25 @@ class ChatBot {
     console.log('UofC ChatBot loaded');
 
     try {
-      // Check if API key is configured
-      const { groqApiKey } = await chrome.storage.local.get(['groqApiKey']);
+      // Check if a model provider is configured
+      const provider = await LLMProvider.load();
 
-      if (!groqApiKey) {
-        // Show API key modal
-        this.apiKeyModal.show();
+      if (!provider || !provider.isConfigured()) {
+        // Show provider setup modal
+        this.apiKeyModal.show(provider);
         return;
       }
 
-      // API key exists, initialize chat
-      this.groqApiKey = groqApiKey;
+      // Provider exists, initialize chat
+      this.provider = provider;
       this.setupChatEventListeners();
+      this.setupMessageActions();
       this.setupMessageHandlers();
-      this.loadChatHistory();
       this.checkMCPStatus();
       this.initializeSemanticSearch();
       this.setupQuickActions();
-      this.addWelcomeMessage();
+      await this.loadConversations();
+      this.setupTabTracking();
       this.initialized = true;
     } catch (error) {
       console.error('Failed to initialize chatbot:', error);
@@ -209,6 +1003,21 @@ class ChatBot {
     }
   }
 
+  setProvider(provider) {
+    if (!this.initialized) {
+      this.init();
+      return;
+    }
+
+    this.provider = provider;
+    if (this.semanticSearch) {
+      this.semanticSearch.initialize(provider);
+    }
+    // Sections are re-embedded on the next search with the new provider
+    this.semanticSections = [];
+    console.log('Model provider updated:', provider.label, provider.chatModel);
+  }
+
   setupChatEventListeners() {
     const chatForm = document.getElementById('chatForm');
     const messageInput = document.getElementById('messageInput');
@@ -217,7 +1026,11 @@ class ChatBot {
     if (chatForm) {
       chatForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        this.handleSendMessage();
+        if (this.abortController) {
+          this.stopGeneration();
+        } else {
+          this.handleSendMessage();
+        }
       });
     }
 
@@ -252,6 +1065,24 @@ class ChatBot {
       case 'chatError':
         this.handleChatError(data);
         break;
+      case 'mcpStatusChanged':
+        this.mcpEnabled = data.connected;
+        this.updateMCPStatusIndicator(data);
+        break;
+      case 'confirmAction':
+        // Page-changing action outside the allowlist, see ActionPolicy
+        this.showActionConfirmation(data).then(decision => {
+          sendResponse({ decision });
+        });
+        break;
+      case 'confirmFormFill':
+        // Form filling requested by an MCP client
+        this.confirmFormFill(data).then(result => {
+          sendResponse({ success: true, data: result });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        break;
       default:
         console.debug('Unknown message in chat panel:', action);
     }
@@ -269,25 +1100,124 @@ class ChatBot {
     this.addMessage('assistant', 'Sorry, I encountered an error. Please try again.');
   }
 
-  async loadChatHistory() {
+  async loadConversations() {
     try {
-      const result = await chrome.storage.local.get(['chatHistory']);
+      await this.conversations.load();
+      await this.followActiveTab();
+      await this.showConversation();
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+      this.addWelcomeMessage();
+    }
+  }
+
+  // Render the active thread; an empty thread starts with the welcome message
+  async showConversation() {
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (messagesContainer) {
+      messagesContainer.innerHTML = '';
+    }
+
+    const conversation = this.conversations.active;
+    this.messages = await this.conversations.getMessages(conversation.id);
+    this.messages.forEach(msg => this.displayMessage(msg));
+    this.currentSearchResults = null;
+    this.currentSemanticResults = null;
+
+    if (this.messages.length === 0) {
+      this.addWelcomeMessage();
+    }
+
+    this.updateConversationTitle();
+  }
+
+  updateConversationTitle() {
+    const title = document.getElementById('conversationTitle');
+    const conversation = this.conversations.active;
+    if (title && conversation) {
+      title.textContent = conversation.title;
+      title.title = conversation.pageContext && conversation.pageContext.url
+        ? `Last used on ${conversation.pageContext.url}`
+        : conversation.title;
+    }
+  }
+
+  async switchConversation(id) {
+    // A streaming answer belongs to the thread it was asked in
+    if (this.isTyping || id === this.conversations.index.activeId) return;
+
+    await this.conversations.setActive(id);
+    await this.showConversation();
+  }
+
+  async newConversation() {
+    if (this.isTyping) return;
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const conversation = await this.conversations.create({
+      pageContext: tab ? { url: tab.url, title: tab.title } : null
+    });
+    await this.conversations.setActive(conversation.id);
+    await this.showConversation();
+  }
+
+  async deleteConversation(id) {
+    if (this.isTyping && id === this.conversations.index.activeId) return;
+
+    const wasActive = id === this.conversations.index.activeId;
+    await this.conversations.delete(id);
+    if (wasActive) {
+      await this.showConversation();
+    }
+  }
+
+  // Switch to the thread bound to the active tab or site, if binding is on
+  async followActiveTab() {
+    if (this.isTyping) return;
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const conversation = await this.conversations.resolveForTab(tab);
+    if (!conversation) return;
+
+    if (conversation.id !== this.conversations.index.activeId) {
+      await this.conversations.setActive(conversation.id);
+      if (this.initialized) {
+        await this.showConversation();
+      }
+    }
+  }
+
+  setupTabTracking() {
+    chrome.tabs.onActivated.addListener(() => this.followActiveTab());
+
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.url && tab.active) {
+        this.followActiveTab();
+      }
+    });
+  }
 
-      if (result.chatHistory) {
-        this.messages = result.chatHistory;
-        this.messages.forEach(msg => this.displayMessage(msg));
+  // Remember the page a question was asked on; returns it for the answer
+  async recordPageContext() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        const pageContext = { url: tab.url, title: tab.title };
+        await this.conversations.setPageContext(this.conversations.index.activeId, pageContext);
+        return pageContext;
       }
     } catch (error) {
-      console.error('Failed to load chat history:', error);
+      console.error('Failed to record page context:', error);
     }
+    return null;
   }
 
   async checkMCPStatus() {
     try {
       const response = await chrome.runtime.sendMessage({ action: 'getMCPStatus' });
       this.mcpEnabled = response.connected;
-      console.log('MCP Status:', this.mcpEnabled);
-      this.updateMCPStatusIndicator();
+      console.log('MCP Status:', response.state);
+      this.updateMCPStatusIndicator(response);
     } catch (error) {
       console.error('Failed to check MCP status:', error);
       this.mcpEnabled = false;
@@ -295,8 +1225,9 @@ class ChatBot {
     }
   }
 
-  updateMCPStatusIndicator() {
+  updateMCPStatusIndicator(status = {}) {
     const statusDot = document.getElementById('mcpStatusDot');
+    const statusIndicator = document.getElementById('mcpStatus');
     if (statusDot) {
       if (this.mcpEnabled) {
         statusDot.classList.remove('inactive');
@@ -304,12 +1235,24 @@ class ChatBot {
         statusDot.classList.add('inactive');
       }
     }
+
+    if (statusIndicator) {
+      let title = `MCP bridge: ${status.state || 'disconnected'}`;
+      if (!this.mcpEnabled && status.lastError) {
+        title += ` (${status.lastError})`;
+      }
+      statusIndicator.title = title;
+    }
   }
 
   setupQuickActions() {
     const readPageBtn = document.getElementById('readPageBtn');
     const getLinksBtn = document.getElementById('getLinksBtn');
     const helpBtn = document.getElementById('helpBtn');
+    const settingsBtn = document.getElementById('settingsBtn');
+    const conversationsBtn = document.getElementById('conversationsBtn');
+    const auditLogBtn = document.getElementById('auditLogBtn');
+    const newConversationBtn = document.getElementById('newConversationBtn');
     const helpClose = document.getElementById('helpClose');
     const helpModal = document.getElementById('helpModal');
 
@@ -333,6 +1276,24 @@ class ChatBot {
       });
     }
 
+    if (conversationsBtn) {
+      conversationsBtn.addEventListener('click', () => this.conversationPanel.show());
+    }
+
+    if (auditLogBtn) {
+      auditLogBtn.addEventListener('click', () => this.auditLogPanel.show());
+    }
+
+    if (newConversationBtn) {
+      newConversationBtn.addEventListener('click', () => this.newConversation());
+    }
+
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => {
+        this.apiKeyModal.show(this.provider);
+      });
+    }
+
     if (helpBtn) {
       helpBtn.addEventListener('click', () => {
         if (helpModal) {
@@ -360,12 +1321,10 @@ class ChatBot {
   }
 
   addWelcomeMessage() {
-    let welcomeText = 'Welcome to UofC ChatBot! I\'m powered by Llama 3.3 and ready to help.';
-    if (this.mcpEnabled) {
-      welcomeText += ' I can help you interact with web pages with both traditional and semantic search:\n\n';
-      welcomeText += '**Traditional commands:** "read this page", "find sections about X", "scroll to heading", "get all links"\n\n';
-      welcomeText += '**Semantic commands:** "semantic search for tuition", "find content like costs and fees", "smart scroll to admission requirements"';
-    }
+    let welcomeText = `Welcome to UofC ChatBot! I'm powered by ${this.provider.chatModel} (${this.provider.label}) and ready to help.`;
+    welcomeText += ' I can help you interact with web pages with both traditional and semantic search:\n\n';
+    welcomeText += '**Traditional commands:** "read this page", "find sections about X", "scroll to heading", "get all links"\n\n';
+    welcomeText += '**Semantic commands:** "semantic search for tuition", "find content like costs and fees", "smart scroll to admission requirements"';
     welcomeText += '\n\nWhat can I assist you with today?';
 
     const welcomeMessage = {
@@ -373,7 +1332,7 @@ class ChatBot {
       content: welcomeText,
       timestamp: Date.now()
     };
-    this.addMessage('assistant', welcomeMessage.content);
+    this.addMessage('assistant', welcomeMessage.content, { kind: 'welcome' });
   }
 
   async handleSendMessage() {
@@ -383,132 +1342,678 @@ class ChatBot {
 
     if (!message || this.isTyping) return;
 
+    // Web commands and their output stay out of the model's context
+    const webCommand = this.parseWebCommand(message);
+    const kind = webCommand ? { kind: 'command' } : {};
+
     // Add user message
-    this.addMessage('user', message);
+    this.addMessage('user', message, kind);
 
     // Clear input
     messageInput.value = '';
     this.autoResizeTextarea(messageInput);
 
-    // Disable send button
-    sendButton.disabled = true;
-
     // Show typing indicator
     this.showTypingIndicator();
 
+    const pageContext = await this.recordPageContext();
+    const page = pageContext ? { pageUrl: pageContext.url } : {};
+    let sources = [];
     try {
-      // Check if this is a web interaction command
-      const webCommand = this.parseWebCommand(message);
-      if (webCommand && this.mcpEnabled) {
-        const response = await this.handleWebCommand(webCommand);
+      // Check if this is a web interaction command. Page actions run through
+      // the content script and service worker, so they don't need the MCP bridge.
+      if (webCommand) {
+        sendButton.disabled = true;
+        // Commands reply with text, or with text plus the sections it lists
+        const result = await this.handleWebCommand(webCommand);
+        const { content, ...extra } = typeof result === 'string' ? { content: result } : result;
         this.hideTypingIndicator();
-        this.addMessage('assistant', response);
+        this.addMessage('assistant', content, { ...page, ...kind, ...extra });
       } else {
-        // Send message directly to Groq API
-        const response = await this.sendToGroq(message);
+        // The send button becomes a stop button
+        this.abortController = new AbortController();
+        this.setStopMode(true);
+
+        // Lookup questions that clearly match a table cell are answered with
+        // that cell; the page is only scrolled when the citation is clicked
+        if (TableQA.isLookupQuestion(message)) {
+          const tableAnswer = await this.answerFromTables(message, { minScore: TABLE_QA_DIRECT_SCORE, highlight: false })
+            .catch(error => {
+              console.warn('Table lookup unavailable:', error.message);
+              return null;
+            });
+          this.abortController.signal.throwIfAborted();
+          if (tableAnswer) {
+            this.hideTypingIndicator();
+            this.addMessage('assistant', tableAnswer.content, { ...page, citations: tableAnswer.citations });
+            return;
+          }
+        }
+
+        // Stream the answer from the model
+        sources = await this.retrievePageContext(message);
+        const response = await this.sendToLLM(message, {
+          signal: this.abortController.signal,
+          onToken: (text) => this.updateStreamingMessage(text),
+          sources
+        });
+        this.removeStreamingMessage();
         this.hideTypingIndicator();
-        this.addMessage('assistant', response);
+        this.addMessage('assistant', response, { ...page, ...this.citationsFor(response, sources) });
       }
     } catch (error) {
-      console.error('Error sending message:', error);
+      const partialText = this.streamingText;
+      this.removeStreamingMessage();
       this.hideTypingIndicator();
-      this.addMessage('assistant', 'Sorry, I encountered an error. Please try again.');
+
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the student pressed stop
+        const content = partialText ? `${partialText}\n\n⏹ Response stopped` : '⏹ Response stopped';
+        this.addMessage('assistant', content, { ...page, stopped: true, ...this.citationsFor(content, sources) });
+      } else {
+        console.error('Error sending message:', error);
+        this.addMessage('assistant', 'Sorry, I encountered an error. Please try again.', { ...page, ...kind });
+      }
+    } finally {
+      this.abortController = null;
+      this.setStopMode(false);
+    }
+  }
+
+  stopGeneration() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  setStopMode(enabled) {
+    const sendButton = document.getElementById('sendButton');
+    if (!sendButton) return;
+
+    sendButton.classList.toggle('stop', enabled);
+    sendButton.title = enabled ? 'Stop generating' : 'Send message';
+    if (enabled) {
       sendButton.disabled = false;
     }
   }
 
-  async sendToGroq(message) {
-    const requestBody = {
-      model: 'llama-3.3-70b-versatile',
-      messages: [
-        ...this.messages.slice(-10).map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })),
-        { role: 'user', content: message }
-      ],
-      temperature: 0.7,
-      max_tokens: 2000,
-      top_p: 1,
-      stream: false
+  async sendToLLM(message, { signal, onToken, sources = [] } = {}) {
+    // The user message was already added to this.messages by handleSendMessage
+    const messages = await this.buildChatContext(sources, signal);
+    const tools = MCPTools.toOpenAITools(CHAT_TOOL_NAMES);
+
+    // Let the model call page tools until it produces a final answer
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      const reply = await this.provider.chatCompletion({ messages, tools, tool_choice: 'auto' }, { signal, onToken });
+
+      if (!reply.tool_calls || reply.tool_calls.length === 0) {
+        return reply.content;
+      }
+
+      messages.push({
+        role: 'assistant',
+        content: reply.content || null,
+        tool_calls: reply.tool_calls
+      });
+
+      for (const toolCall of reply.tool_calls) {
+        const output = await this.runToolCall(toolCall);
+        messages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: output
+        });
+      }
+    }
+
+    // Out of tool rounds: ask for an answer from what was gathered so far
+    const finalReply = await this.provider.chatCompletion({ messages, tools, tool_choice: 'none' }, { signal, onToken });
+    return finalReply.content;
+  }
+
+  // History that fits the model's budget; older turns are folded into the
+  // conversation's running summary once enough of them no longer fit
+  async buildChatContext(sources, signal) {
+    const conversation = this.conversations.active;
+    const options = {
+      model: this.provider.chatModel,
+      history: this.messages,
+      summary: conversation.summary,
+      fixedMessages: [
+        { role: 'system', content: CHAT_SYSTEM_PROMPT },
+        ...(sources.length > 0 ? [{ role: 'system', content: this.buildSourcesPrompt(sources) }] : [])
+      ]
     };
 
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.groqApiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
+    let context = ContextManager.build(options);
+
+    if (ContextManager.shouldSummarize(context)) {
+      try {
+        const summary = await ContextManager.summarize(
+          this.provider, conversation.summary, context.overflow, context.overflowUpTo, signal
+        );
+        if (summary.text) {
+          console.log(`Summarized ${context.overflow.length} older messages`);
+          await this.conversations.setSummary(conversation.id, summary);
+          context = ContextManager.build({ ...options, summary });
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Without a new summary the oldest turns are simply left out
+        console.error('Failed to summarize conversation:', error);
+      }
+    }
+
+    console.log(`Chat context: ${context.messages.length} messages, ~${context.tokens}/${context.budget} tokens`);
+    return context.messages;
+  }
+
+  // Find the page sections most relevant to the question. Failures (no page,
+  // restricted URL, no content script) just mean an ungrounded answer.
+  async retrievePageContext(message) {
+    if (!this.semanticSearch) return [];
+
+    try {
+      if (!await this.ensureSemanticSections()) return [];
+
+      const results = await this.semanticSearch.semanticSearch(message, this.semanticSections, RAG_MAX_SOURCES);
+      return results
+        .filter(section => section.relevanceScore >= RAG_MIN_RELEVANCE)
+        .map((section, index) => ({
+          number: index + 1,
+          heading: section.heading || section.text.substring(0, 80),
+          selector: section.selector,
+          url: this.semanticSectionsUrl,
+          text: (section.markdown || section.text).substring(0, RAG_SOURCE_CHARS)
+        }));
+    } catch (error) {
+      console.warn('Page context unavailable:', error.message);
+      return [];
+    }
+  }
+
+  buildSourcesPrompt(sources) {
+    const blocks = sources.map(source => `[${source.number}] ${source.heading}\n${source.text}`);
+
+    return 'Numbered sources from the page the student is viewing:\n\n' +
+      blocks.join('\n\n') +
+      '\n\nWhen your answer uses a source, cite it inline as [1], [2], etc. ' +
+      'Only cite the numbers above. If the sources do not answer the question, say so ' +
+      'and use the page tools or general knowledge instead.';
+  }
+
+  // Keep only the sources the answer actually cites
+  citationsFor(content, sources) {
+    if (!content || sources.length === 0) return {};
+
+    const cited = new Set([...content.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1])));
+    const citations = sources.filter(source => cited.has(source.number));
+    return citations.length > 0 ? { citations } : {};
+  }
+
+  async runToolCall(toolCall) {
+    const { name, arguments: rawArguments } = toolCall.function;
+    const tool = MCPTools.get(name);
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Groq API error: ${response.status} ${response.statusText}`);
+    if (!tool || !CHAT_TOOL_NAMES.includes(name)) {
+      return JSON.stringify({ error: `Unknown tool: ${name}` });
     }
 
-    const result = await response.json();
-    return result.choices[0].message.content;
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      return JSON.stringify({ error: `Invalid JSON arguments for ${name}: ${error.message}` });
+    }
+
+    console.log('Model tool call:', name, args);
+
+    try {
+      const action = tool.target === 'page' ? tool.action : BROWSER_TOOL_ACTIONS[name];
+      const result = action === 'fillForm'
+        ? await this.confirmFormFill(args)
+        : await this.executeMCPAction(action, args);
+      return this.serializeToolResult(result);
+    } catch (error) {
+      console.error('Tool call failed:', name, error);
+      return JSON.stringify({ error: error.message });
+    }
   }
 
-  addMessage(role, content) {
+  serializeToolResult(result) {
+    const json = JSON.stringify(result ?? null);
+    if (json.length <= MAX_TOOL_RESULT_CHARS) return json;
+
+    return json.substring(0, MAX_TOOL_RESULT_CHARS) +
+      `... [truncated ${json.length - MAX_TOOL_RESULT_CHARS} characters]`;
+  }
+
+  addMessage(role, content, extra = {}) {
     const message = {
       role: role,
       content: content,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...extra
     };
 
-    this.messages.push(message);
-    this.displayMessage(message);
-    this.saveChatHistory();
+    this.messages.push(message);
+    this.displayMessage(message);
+    this.saveChatHistory();
+  }
+
+  displayMessage(message) {
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (!messagesContainer) return;
+
+    const messageElement = document.createElement('div');
+    messageElement.className = `message ${message.role}`;
+
+    const avatar = document.createElement('div');
+    avatar.className = 'message-avatar';
+    avatar.textContent = message.role === 'user' ? 'U' : 'C';
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+
+    // User text is shown as typed; assistant replies are rendered as Markdown
+    if (message.role === 'user') {
+      content.textContent = message.content;
+    } else {
+      this.renderMessageContent(content, message);
+    }
+
+    messageElement.appendChild(avatar);
+    messageElement.appendChild(content);
+    messagesContainer.appendChild(messageElement);
+
+    // Scroll to bottom
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  renderMessageContent(container, message) {
+    const citations = new Map((message.citations || []).map(citation => [citation.number, citation]));
+    const renderer = new MarkdownRenderer({ citations });
+    container.appendChild(renderer.render(message.content));
+
+    // Search results get a scroll button on each numbered item, and
+    // ambiguous click candidates a button to click that one
+    this.attachItemButtons(container, message.scrollTargets, target =>
+      this.createScrollButton(target.selector, '📍 Scroll here'));
+    this.attachItemButtons(container, message.clickTargets, target =>
+      this.createClickButton(target.selector, '👆 Click this'));
+    this.attachTableButtons(container, message.tables);
+
+    if (citations.size > 0) {
+      const sourceList = document.createElement('div');
+      sourceList.className = 'message-sources';
+      sourceList.appendChild(document.createTextNode('Sources: '));
+      citations.forEach(citation => {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'citation-link';
+        link.dataset.action = 'scroll-to';
+        link.dataset.selector = citation.selector;
+        link.dataset.highlight = 'section';
+        if (citation.url) link.dataset.url = citation.url;
+        link.title = `Show source on page: ${citation.heading}`;
+        link.textContent = `[${citation.number}] ${citation.heading}`;
+        sourceList.appendChild(link);
+      });
+      container.appendChild(sourceList);
+    }
+  }
+
+  attachItemButtons(container, targets, createButton) {
+    if (!targets || targets.length === 0) return;
+
+    const list = container.querySelector(':scope > ol');
+    if (!list) return;
+
+    Array.from(list.children).forEach(item => {
+      const target = targets[item.value - 1];
+      if (target) {
+        item.appendChild(createButton(target));
+      }
+    });
+  }
+
+  // CSV and JSON export buttons under each rendered table
+  attachTableButtons(container, tables) {
+    if (!tables || tables.length === 0) return;
+
+    container.querySelectorAll(':scope > .md-table-wrapper').forEach((wrapper, index) => {
+      const table = tables[index];
+      if (!table) return;
+
+      const actions = document.createElement('div');
+      actions.className = 'table-export';
+      ['csv', 'json'].forEach(format => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'scroll-to-btn';
+        button.dataset.action = 'export-table';
+        button.dataset.format = format;
+        button.textContent = `⬇️ ${format.toUpperCase()}`;
+        this.tableExports.set(button, table);
+        actions.appendChild(button);
+      });
+      actions.appendChild(this.createScrollButton(table.selector, '📍 Scroll here'));
+      wrapper.after(actions);
+    });
+  }
+
+  exportTable(button) {
+    const table = this.tableExports.get(button);
+    if (!table) return;
+
+    const name = (table.caption || `table-${table.index + 1}`)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'table';
+
+    if (button.dataset.format === 'csv') {
+      ConversationExporter.download(`${name}.csv`, TableExtractor.toCSV(table), 'text/csv');
+    } else {
+      ConversationExporter.download(`${name}.json`, TableExtractor.toJSON(table), 'application/json');
+    }
+  }
+
+  createClickButton(selector, label) {
+    const button = this.createScrollButton(selector, label);
+    button.dataset.action = 'click-target';
+    return button;
+  }
+
+  createScrollButton(selector, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'scroll-to-btn';
+    button.dataset.action = 'scroll-to';
+    button.dataset.selector = selector;
+    button.textContent = label;
+    return button;
+  }
+
+  // One delegated listener handles every interactive element in the messages
+  setupMessageActions() {
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (!messagesContainer) return;
+
+    messagesContainer.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (!target || !messagesContainer.contains(target)) return;
+
+      e.preventDefault();
+
+      switch (target.dataset.action) {
+        case 'scroll-to':
+          this.scrollToTarget(target);
+          break;
+        case 'copy-code':
+          this.copyCodeBlock(target);
+          break;
+        case 'confirm-decision':
+          this.resolveConfirmation(target);
+          break;
+        case 'click-target':
+          this.clickTarget(target);
+          break;
+        case 'export-table':
+          this.exportTable(target);
+          break;
+        default:
+          console.debug('Unknown message action:', target.dataset.action);
+      }
+    });
+  }
+
+  // Form filling: the planned changes are shown first and nothing is written
+  // (or submitted) until the student confirms in the preview. The caller (the
+  // model or an MCP client) only gets the redacted result.
+  async confirmFormFill(params) {
+    return MCPTools.redactFormFill(await this.fillFormWithPreview(params));
+  }
+
+  async fillFormWithPreview(params) {
+    const { preview, ...request } = params;
+    const values = request.useProfile
+      ? { ...(await StudentProfile.load()), ...(request.values || {}) }
+      : (request.values || {});
+
+    // Pin the tab so the confirmed fill lands where the preview was taken
+    let tabId = request.tabId;
+    if (tabId === undefined) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      tabId = tab ? tab.id : undefined;
+    }
+
+    const fillParams = { ...request, values, tabId };
+    const plan = await this.executeMCPAction('fillForm', { ...fillParams, preview: true });
+    if (preview || plan.changes.length === 0) return plan;
+
+    const decision = await this.showFormPreview(plan, Boolean(request.submit));
+    if (decision === 'cancel') {
+      return { ...plan, cancelled: true, message: 'The student cancelled form filling' };
+    }
+
+    // The student's click in the preview is the confirmation, for exactly the
+    // changes it showed
+    return await this.executeMCPAction('fillForm', {
+      ...fillParams,
+      formSelector: request.formSelector || plan.form || undefined,
+      preview: false,
+      submit: decision === 'submit',
+      expectedChanges: plan.changes.map(change => ({ selector: change.selector, to: change.to }))
+    }, { initiator: 'user' });
+  }
+
+  // Diff of the planned changes with confirm buttons; resolves to 'fill', 'submit' or 'cancel'
+  showFormPreview(plan, offerSubmit) {
+    const body = [];
+
+    const list = document.createElement('ul');
+    list.className = 'form-preview-changes';
+    plan.changes.forEach(change => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.className = 'form-preview-label';
+      label.textContent = change.label || change.key;
+      item.appendChild(label);
+
+      if (change.from) {
+        const from = document.createElement('del');
+        from.textContent = change.from;
+        item.appendChild(from);
+      }
+
+      const to = document.createElement('ins');
+      to.textContent = change.to;
+      item.appendChild(to);
+      list.appendChild(item);
+    });
+    body.push(list);
+
+    if (plan.unmatched.length > 0) {
+      const unmatched = document.createElement('div');
+      unmatched.className = 'form-preview-unmatched';
+      unmatched.textContent = `Not filled: ${plan.unmatched.map(entry => `${entry.key} (${entry.reason})`).join(', ')}`;
+      body.push(unmatched);
+    }
+
+    const buttons = [{ decision: 'fill', label: 'Fill form', status: 'Filling the form...' }];
+    if (offerSubmit && plan.submitButton) {
+      buttons.push({ decision: 'submit', label: 'Fill and submit', status: 'Filling and submitting the form...' });
+    }
+    buttons.push({ decision: 'cancel', label: 'Cancel', status: 'Cancelled - nothing was changed' });
+
+    return this.showConfirmation({
+      title: `Review ${plan.changes.length} change${plan.changes.length === 1 ? '' : 's'} before filling the form`,
+      body,
+      buttons
+    });
   }
 
-  displayMessage(message) {
+  // Page-changing tool outside the allowlist, asked for by the service worker
+  showActionConfirmation(request) {
+    const details = document.createElement('div');
+    details.className = 'form-preview-unmatched';
+    details.textContent = `${request.host} is not on the allowlist of sites the assistant may change without asking.` +
+      (request.initiator === 'mcp-client' ? ' Requested by an external MCP client.' : '');
+
+    const action = document.createElement('div');
+    action.className = 'form-preview-label';
+    action.textContent = request.description;
+
+    return this.showConfirmation({
+      title: `Allow this action on ${request.host}?`,
+      body: [action, details],
+      buttons: [
+        { decision: 'allow', label: 'Allow once', status: 'Allowed once' },
+        { decision: 'always', label: `Always allow on ${request.host}`, status: `Added ${request.host} to the allowlist` },
+        { decision: 'deny', label: 'Don\'t allow', status: 'Not allowed - nothing was changed' }
+      ],
+      timeout: ACTION_CONFIRM_TIMEOUT_MS,
+      timeoutDecision: 'deny'
+    });
+  }
+
+  // Card with decision buttons in the chat; resolves to the chosen decision.
+  // Clicks are handled by the delegated message listener (confirm-decision).
+  showConfirmation({ title, body = [], buttons, timeout = 0, timeoutDecision = 'cancel' }) {
     const messagesContainer = document.getElementById('messagesContainer');
-    if (!messagesContainer) return;
+    if (!messagesContainer) return Promise.resolve(timeoutDecision);
+
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
 
     const messageElement = document.createElement('div');
-    messageElement.className = `message ${message.role}`;
+    messageElement.className = 'message assistant';
 
     const avatar = document.createElement('div');
     avatar.className = 'message-avatar';
-    avatar.textContent = message.role === 'user' ? 'U' : 'C';
+    avatar.textContent = 'C';
 
     const content = document.createElement('div');
-    content.className = 'message-content';
-
-    // Parse and render content with interactive elements
-    if (message.content.includes('Click on any section number below')) {
-      content.innerHTML = this.parseInteractiveMessage(message.content);
-    } else {
-      content.textContent = message.content;
-    }
+    content.className = 'message-content form-preview';
+    content.dataset.previewId = id;
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'form-preview-title';
+    titleElement.textContent = title;
+    content.appendChild(titleElement);
+    body.forEach(node => content.appendChild(node));
+
+    const actions = document.createElement('div');
+    actions.className = 'form-preview-actions';
+    buttons.forEach(({ decision, label, status }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `form-preview-btn ${decision}`;
+      button.dataset.action = 'confirm-decision';
+      button.dataset.decision = decision;
+      button.dataset.status = status;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+    content.appendChild(actions);
 
     messageElement.appendChild(avatar);
     messageElement.appendChild(content);
-    messagesContainer.appendChild(messageElement);
 
-    // Scroll to bottom
+    // Above the typing dots, which stay while the tool loop waits
+    messagesContainer.insertBefore(messageElement, document.getElementById('typingIndicator'));
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    return new Promise(resolve => {
+      this.pendingConfirmations.set(id, resolve);
+
+      if (timeout > 0) {
+        setTimeout(() => this.settleConfirmation(content, timeoutDecision, 'No answer - nothing was changed'), timeout);
+      }
+    });
+  }
+
+  resolveConfirmation(button) {
+    const preview = button.closest('[data-preview-id]');
+    if (!preview) return;
+    this.settleConfirmation(preview, button.dataset.decision, button.dataset.status);
+  }
+
+  settleConfirmation(preview, decision, statusText) {
+    const resolve = this.pendingConfirmations.get(preview.dataset.previewId);
+    if (!resolve) return;
+
+    this.pendingConfirmations.delete(preview.dataset.previewId);
+    preview.querySelectorAll('.form-preview-btn').forEach(btn => {
+      btn.disabled = true;
+    });
+
+    const status = document.createElement('div');
+    status.className = 'form-preview-status';
+    status.textContent = statusText;
+    preview.appendChild(status);
+
+    resolve(decision);
+  }
+
+  async clickTarget(element) {
+    try {
+      const result = await this.executeMCPAction('click', { selector: element.dataset.selector }, { initiator: 'user' });
+      if (!result.clicked) {
+        throw new Error(result.reason || 'Nothing was clicked');
+      }
+      element.classList.remove('missing');
+      this.addMessage('assistant', `✅ Clicked **${result.text || result.tagName}**`, { kind: 'command' });
+    } catch (error) {
+      console.error('Failed to click target:', error);
+      element.classList.add('missing');
+      element.title = error.message;
+    }
+  }
+
+  async scrollToTarget(element) {
+    try {
+      await this.executeMCPAction('scrollToSection', {
+        selector: element.dataset.selector,
+        highlight: element.dataset.highlight || 'element'
+      });
+      element.classList.remove('missing');
+    } catch (error) {
+      console.error('Failed to scroll to target:', error);
+      element.classList.add('missing');
+      element.title = `No longer on this page (${element.dataset.url || 'it may have changed'})`;
+    }
+  }
+
+  // Main content as Markdown, whole page when no main content stands out
+  async copyPageAsMarkdown() {
+    const result = await this.executeMCPAction('extractMarkdown', { blocks: false, maxLength: 1000000 });
+    if (!result.markdown) {
+      return '❌ Found no text to copy on this page.';
+    }
+
+    const title = result.title ? `# ${result.title}\n\nSource: ${result.url}\n\n` : '';
+    await navigator.clipboard.writeText(title + result.markdown);
+
+    const lines = result.markdown.split('\n').length;
+    return `📋 Copied **${result.title || result.url}** as Markdown (${lines} lines, ${result.markdown.length.toLocaleString()} characters).`;
   }
 
-  parseInteractiveMessage(content) {
-    // Parse markdown and add interactive elements
-    let html = content
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/^\d+\.\s+\*\*(.*?)\*\*/g, function(match, text) {
-        const sectionNum = match.match(/^\d+/)[0];
-        return `<div class="search-result-item" data-section="${sectionNum}">
-          <strong>${sectionNum}. ${text}</strong>
-          <button class="scroll-to-btn" onclick="window.chatBot.scrollToSearchResult(${parseInt(sectionNum) - 1})">
-            📍 Scroll here
-          </button>
-        </div>`;
-      })
-      .replace(/^(\d+\.\s+)/gm, '<div class="search-result-item" data-section="$1">$1</div>');
+  async copyCodeBlock(button) {
+    const code = button.closest('.md-code-block').querySelector('code');
+
+    try {
+      await navigator.clipboard.writeText(code.textContent);
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+      button.textContent = 'Copy failed';
+    }
 
-    return '<p>' + html + '</p>';
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 1500);
   }
 
   async scrollToSearchResult(index) {
@@ -558,15 +2063,58 @@ class ChatBot {
 
   hideTypingIndicator() {
     this.isTyping = false;
-    const typingIndicator = document.getElementById('typingIndicator');
     const sendButton = document.getElementById('sendButton');
 
+    this.removeTypingDots();
+
+    if (sendButton) {
+      sendButton.disabled = false;
+    }
+  }
+
+  removeTypingDots() {
+    const typingIndicator = document.getElementById('typingIndicator');
     if (typingIndicator) {
       typingIndicator.remove();
     }
+  }
+
+  // Render streamed tokens into a temporary assistant bubble. The bubble is
+  // replaced by a regular message once the answer is complete or stopped.
+  updateStreamingMessage(text) {
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (!messagesContainer) return;
+
+    this.streamingText = text;
+    this.removeTypingDots();
+
+    let streamingElement = document.getElementById('streamingMessage');
+    if (!streamingElement) {
+      streamingElement = document.createElement('div');
+      streamingElement.className = 'message assistant streaming';
+      streamingElement.id = 'streamingMessage';
+
+      const avatar = document.createElement('div');
+      avatar.className = 'message-avatar';
+      avatar.textContent = 'C';
+
+      const content = document.createElement('div');
+      content.className = 'message-content';
+
+      streamingElement.appendChild(avatar);
+      streamingElement.appendChild(content);
+      messagesContainer.appendChild(streamingElement);
+    }
 
-    if (sendButton) {
-      sendButton.disabled = false;
+    streamingElement.querySelector('.message-content').textContent = text;
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  removeStreamingMessage() {
+    this.streamingText = '';
+    const streamingElement = document.getElementById('streamingMessage');
+    if (streamingElement) {
+      streamingElement.remove();
     }
   }
 
@@ -579,7 +2127,7 @@ class ChatBot {
     try {
       if (typeof SemanticSearch !== 'undefined') {
         this.semanticSearch = new SemanticSearch();
-        await this.semanticSearch.initialize(this.groqApiKey);
+        await this.semanticSearch.initialize(this.provider);
         console.log('Semantic search initialized successfully');
       } else {
         console.error('SemanticSearch class not found - semantic search will be disabled');
@@ -593,6 +2141,45 @@ class ChatBot {
 
   parseWebCommand(message) {
     const commands = [
+      {
+        pattern: /^(record(\s+a)?\s+workflow|start\s+recording)$/i,
+        action: 'startRecording',
+        description: 'Record the following web commands as a workflow',
+        workflow: true
+      },
+      {
+        pattern: /^save\s+workflow\s+(as\s+)?(.+)$/i,
+        action: 'saveWorkflow',
+        description: 'Save the recorded commands as a named workflow',
+        extractParam: 2,
+        workflow: true
+      },
+      {
+        pattern: /^(cancel|stop)\s+recording$/i,
+        action: 'cancelRecording',
+        description: 'Stop recording without saving',
+        workflow: true
+      },
+      {
+        pattern: /^(run|replay)\s+workflow\s+(.+)$/i,
+        action: 'runWorkflow',
+        description: 'Replay a saved workflow step by step',
+        extractParam: 2,
+        workflow: true
+      },
+      {
+        pattern: /^(list|show)\s+workflows$/i,
+        action: 'listWorkflows',
+        description: 'List saved workflows',
+        workflow: true
+      },
+      {
+        pattern: /^delete\s+workflow\s+(.+)$/i,
+        action: 'deleteWorkflow',
+        description: 'Delete a saved workflow',
+        extractParam: 1,
+        workflow: true
+      },
       {
         pattern: /^(read|extract|scan)(\s+this)?(\s+page)?$/i,
         action: 'extractStructuredData',
@@ -614,7 +2201,7 @@ class ChatBot {
         pattern: /^(find|search)(\s+for)?\s+(.+)$/i,
         action: 'findSections',
         description: 'Find sections containing specific text',
-        extractParam: 2
+        extractParam: 3
       },
       {
         pattern: /^smart\s+scroll\s+to\s+(.+)$/i,
@@ -649,7 +2236,23 @@ class ChatBot {
         pattern: /^(click|press)\s+(.+)$/i,
         action: 'click',
         description: 'Click on an element',
-        extractParam: 1
+        extractParam: 2
+      },
+      {
+        pattern: /^(ask\s+(the\s+)?tables?|tables?\s*:)\s*(.+)$/i,
+        action: 'tableQuestion',
+        description: 'Answer a question from the tables on the page',
+        extractParam: 3
+      },
+      {
+        pattern: /^((show|list|get|extract)(\s+all)?\s+)?tables?$/i,
+        action: 'extractTables',
+        description: 'Show the tables on the current page'
+      },
+      {
+        pattern: /^copy\s+(this\s+|the\s+)?(page\s+)?(as\s+)?markdown$/i,
+        action: 'copyMarkdown',
+        description: 'Copy the page as Markdown'
       },
       {
         pattern: /^(forms?|inputs?|fields?)$/i,
@@ -663,9 +2266,14 @@ class ChatBot {
       if (match) {
         const result = {
           action: command.action,
-          description: command.description
+          description: command.description,
+          input: message
         };
 
+        if (command.workflow) {
+          result.workflow = true;
+        }
+
         if (command.extractParam !== undefined) {
           result.params = { query: match[command.extractParam].trim() };
         }
@@ -681,77 +2289,291 @@ class ChatBot {
     console.log('Executing web command:', command);
 
     try {
-      let result;
+      const result = await this.runWebCommand(command);
+      if (this.recording && !command.workflow) {
+        return this.recordWorkflowStep(command, result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Web command failed:', error);
+      return `Failed to execute web command: ${error.message}`;
+    }
+  }
 
-      switch (command.action) {
-        case 'extractStructuredData':
-          result = await this.executeMCPAction('extractStructuredData', { enableSemanticProcessing: true });
-          if (result.semanticSections) {
-            await this.processSemanticSections(result.semanticSections);
-          }
-          return this.formatStructuredDataResponse(result);
+  // Throws when the command fails; handleWebCommand turns errors into a reply.
+  // Click and scroll commands leave the element they acted on in command.target.
+  async runWebCommand(command) {
+    let result;
 
-        case 'semanticSearch':
-          return await this.handleSemanticSearch(command.params.query);
+    switch (command.action) {
+      case 'extractStructuredData':
+        result = await this.executeMCPAction('extractStructuredData', { enableSemanticProcessing: true });
+        if (result.semanticSections) {
+          await this.processSemanticSections(result.semanticSections, result.url);
+        }
+        return this.formatStructuredDataResponse(result);
+
+      case 'semanticSearch':
+        return await this.handleSemanticSearch(command.params.query);
 
-        case 'semanticScroll':
-          return await this.handleSemanticScroll(command.params.query);
+      case 'semanticScroll':
+        return await this.handleSemanticScroll(command.params.query);
 
-        case 'findSections':
-          result = await this.executeMCPAction('findSections', { query: command.params.query });
-          return this.formatSectionsResponse(result, command.params.query);
+      case 'findSections':
+        return await this.handleFindSections(command.params.query);
 
-        case 'scrollToSection':
-          result = await this.executeMCPAction('scrollToSection', { query: command.params.query });
-          return this.formatScrollResponse(result);
+      case 'scrollToSection':
+        result = await this.executeMCPAction('scrollToSection', { text: command.params.query });
+        command.target = result.selector || null;
+        return this.formatScrollResponse(result);
 
-        case 'scrollToSectionByNumber':
-          const sectionIndex = parseInt(command.params.query) - 1;
-          return await this.scrollToSearchResult(sectionIndex);
+      case 'scrollToSectionByNumber':
+        const sectionIndex = parseInt(command.params.query) - 1;
+        return await this.scrollToSearchResult(sectionIndex);
 
-        case 'getAllLinks':
-          result = await this.executeMCPAction('getAllLinks', {});
-          return this.formatLinksResponse(result);
+      case 'getAllLinks':
+        result = await this.executeMCPAction('getAllLinks', {});
+        return this.formatLinksResponse(result);
 
-        case 'navigate':
-          result = await this.executeMCPAction('navigate', { url: command.params.query });
-          return `Navigated to ${command.params.query}`;
+      case 'navigate':
+        result = await this.executeMCPAction('navigate', { url: command.params.query }, { initiator: 'user' });
+        return `Navigated to ${command.params.query}`;
 
-        case 'click':
-          result = await this.executeMCPAction('click', { selector: command.params.query });
-          return `Clicked on element: ${command.params.query}`;
+      case 'click': {
+        // "click #submit" targets a selector, "click Apply now" the visible text
+        const query = command.params.query.trim();
+        const target = /^(#|\.|\[|xpath=|frame=)|[[\]>=]/.test(query) ? { selector: query } : { text: query };
+        result = await this.executeMCPAction('click', target, { initiator: 'user' });
+        command.target = result.clicked ? result.selector : null;
+        return this.formatClickResponse(result, query);
+      }
 
-        case 'extractFormFields':
-          result = await this.executeMCPAction('extractFormFields', {});
-          return this.formatFormFieldsResponse(result);
+      case 'extractTables':
+        result = await this.executeMCPAction('extractTables', {});
+        return this.formatTablesResponse(result);
 
-        default:
-          return `Unknown web command: ${command.action}`;
+      case 'tableQuestion':
+        return await this.answerFromTables(command.params.query, { useModel: true }) ||
+          `❌ None of the tables on this page answers "${command.params.query}".`;
+
+      case 'copyMarkdown':
+        return await this.copyPageAsMarkdown();
+
+      case 'extractFormFields':
+        result = await this.executeMCPAction('extractFormFields', {});
+        return this.formatFormFieldsResponse(result);
+
+      case 'startRecording':
+        return this.startWorkflowRecording();
+
+      case 'saveWorkflow':
+        return await this.saveWorkflow(command.params.query);
+
+      case 'cancelRecording':
+        return this.cancelWorkflowRecording();
+
+      case 'runWorkflow':
+        return await this.runWorkflow(command.params.query);
+
+      case 'listWorkflows':
+        return await this.listWorkflows();
+
+      case 'deleteWorkflow':
+        return await this.deleteWorkflow(command.params.query);
+
+      default:
+        return `Unknown web command: ${command.action}`;
+    }
+  }
+
+  isFailedCommandResult(result) {
+    if (typeof result === 'string') return WORKFLOW_FAILED_REPLY.test(result);
+    // A click that has to ask which element was meant did not click anything
+    return Boolean(result.clickTargets) || WORKFLOW_FAILED_REPLY.test(result.content);
+  }
+
+  startWorkflowRecording() {
+    if (this.recording) {
+      return `⏺ Already recording (${this.recording.steps.length} steps so far).`;
+    }
+
+    this.recording = { steps: [] };
+    return '⏺ **Recording a workflow.** Run your web commands as usual, then say "save workflow [name]" or "cancel recording".\n\n' +
+      'To make a value a parameter, name it when saving: "save workflow class-search course=CPSC" replays with "run workflow class-search course=MATH".';
+  }
+
+  cancelWorkflowRecording() {
+    if (!this.recording) return '❌ Nothing is being recorded.';
+
+    this.recording = null;
+    return '⏹ Recording cancelled.';
+  }
+
+  // Only commands that worked are kept
+  recordWorkflowStep(command, result) {
+    if (this.isFailedCommandResult(result)) return result;
+
+    this.recording.steps.push({ command: command.input, waitFor: command.target || null });
+
+    const note = `\n\n⏺ Recorded as step ${this.recording.steps.length}`;
+    return typeof result === 'string' ? result + note : { ...result, content: result.content + note };
+  }
+
+  async saveWorkflow(query) {
+    if (!this.recording) {
+      return '❌ Nothing is being recorded. Say "record workflow" first.';
+    }
+    if (this.recording.steps.length === 0) {
+      return '❌ No commands recorded yet. Run the web commands you want to repeat, then save.';
+    }
+
+    const { rest: name, values } = WorkflowStore.parseAssignments(query);
+    if (!WorkflowStore.normalizeName(name)) {
+      return '❌ Give the workflow a name, e.g. "save workflow class-search".';
+    }
+
+    const empty = Object.keys(values).filter(key => !values[key].trim());
+    if (empty.length > 0) {
+      return `❌ Give ${empty.map(key => `${key}=`).join(', ')} a value, e.g. course=CPSC. Still recording.`;
+    }
+
+    const { steps, unused } = WorkflowStore.parameterize(this.recording.steps, values);
+    if (unused.length > 0) {
+      return `❌ ${unused.map(key => `"${values[key]}"`).join(', ')} does not appear in any recorded step. Still recording.`;
+    }
+
+    const workflow = await WorkflowStore.save({ name, steps, defaults: values });
+    this.recording = null;
+
+    return `💾 Saved workflow **${workflow.name}**:\n\n${this.formatWorkflowSteps(workflow)}\n\nReplay it with "run workflow ${workflow.name}".`;
+  }
+
+  // Steps run one at a time, each after its target has appeared; the first
+  // failure stops the replay and is reported with the steps that completed
+  async runWorkflow(query) {
+    const { rest: name, values } = WorkflowStore.parseAssignments(query);
+    const workflow = await WorkflowStore.get(name);
+    if (!workflow) {
+      return `❌ No workflow named "${name}". Say "list workflows" to see the saved ones.`;
+    }
+
+    const steps = WorkflowStore.fill(workflow, values);
+    const completed = [];
+    let result = '';
+
+    try {
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        this.updateStreamingMessage(`▶️ ${workflow.name}: step ${i + 1} of ${steps.length}, ${step.command}`);
+
+        try {
+          await this.waitForWorkflowStep(step);
+
+          const command = this.parseWebCommand(step.command);
+          if (!command || command.workflow) {
+            throw new Error('not a web command');
+          }
+          result = await this.runWebCommand(command);
+        } catch (error) {
+          result = `❌ ${error.message}`;
+        }
+
+        if (this.isFailedCommandResult(result)) {
+          const reply = typeof result === 'string' ? result : result.content;
+          let response = `❌ **Workflow ${workflow.name} stopped at step ${i + 1} of ${steps.length}:** ${step.command}\n\n${reply}`;
+          if (completed.length > 0) {
+            response += `\n\n**Completed:**\n${completed.join('\n')}`;
+          }
+          return response;
+        }
+
+        // A bullet list, so the last step's numbered results keep their buttons
+        completed.push(`- ✅ Step ${i + 1}: ${step.command}`);
       }
-    } catch (error) {
-      console.error('Web command failed:', error);
-      return `Failed to execute web command: ${error.message}`;
+    } finally {
+      this.removeStreamingMessage();
     }
+
+    // The last step's output (links, sections, ...) is what the student came for
+    const last = typeof result === 'string' ? { content: result } : result;
+    return {
+      ...last,
+      content: `▶️ **Workflow ${workflow.name} finished ${steps.length} steps:**\n${completed.join('\n')}\n\n---\n\n${last.content}`
+    };
   }
 
-  async executeMCPAction(action, params) {
-    if (action === 'navigate' || action === 'click') {
-      // Browser-level actions go through service worker
-      const method = action === 'navigate' ? 'browser_navigate' : 'browser_click';
-      const response = await chrome.runtime.sendMessage({
-        action: 'mcpCall',
-        data: { method, params }
-      });
-      return response.data;
-    } else {
-      // Page-level actions go through content script
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        action: 'mcpPageAction',
-        data: { action, params }
-      });
-      return response.data;
+  // Waits for the element the step acted on when it was recorded, or for the
+  // page body; right after a navigation the content script may not answer yet
+  async waitForWorkflowStep(step) {
+    const selector = step.waitFor || 'body';
+    const deadline = Date.now() + WORKFLOW_STEP_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      try {
+        const result = await this.executeMCPAction('waitForElement', {
+          selector,
+          timeout: Math.max(deadline - Date.now(), 0)
+        });
+        if (result.found) return;
+        break;
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, WORKFLOW_RETRY_MS));
+      }
+    }
+
+    throw new Error(`${selector} did not appear within ${WORKFLOW_STEP_TIMEOUT_MS / 1000} seconds`);
+  }
+
+  async listWorkflows() {
+    const workflows = await WorkflowStore.list();
+    if (workflows.length === 0) {
+      return 'No saved workflows yet. Say "record workflow" to start one.';
+    }
+
+    let response = `**Saved workflows (${workflows.length}):**\n\n`;
+    workflows.forEach(workflow => {
+      response += `**${workflow.name}**\n${this.formatWorkflowSteps(workflow)}\n\n`;
+    });
+    return response;
+  }
+
+  async deleteWorkflow(name) {
+    const removed = await WorkflowStore.remove(name);
+    return removed ? `🗑️ Deleted workflow **${WorkflowStore.normalizeName(name)}**` : `❌ No workflow named "${name}".`;
+  }
+
+  formatWorkflowSteps(workflow) {
+    let text = workflow.steps.map((step, index) => `${index + 1}. ${step.command}`).join('\n');
+
+    const placeholders = WorkflowStore.placeholders(workflow);
+    if (placeholders.length > 0) {
+      text += `\n\nParameters: ${placeholders.map(key => `${key} (default ${workflow.defaults[key]})`).join(', ')}`;
+    }
+    return text;
+  }
+
+  // options.initiator: 'user' for commands the student typed or clicked,
+  // 'assistant' (default) for the model's tool calls; the service worker's
+  // action policy asks before the assistant changes pages off the allowlist
+  async executeMCPAction(action, params, options = {}) {
+    // Everything goes through the service worker: browser-level actions use
+    // chrome.* APIs, page-level actions are sent to the frame(s) that hold
+    // the target, in params.tabId or the active tab (see runPageAction)
+    let method = Object.keys(BROWSER_TOOL_ACTIONS).find(name => BROWSER_TOOL_ACTIONS[name] === action);
+    if (!method) {
+      const tool = MCPTools.getByAction(action);
+      if (!tool) throw new Error(`Unknown page action: ${action}`);
+      method = tool.name;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'mcpCall',
+      data: { method, params, initiator: options.initiator || 'assistant' }
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || `${action} failed`);
     }
+    return response.data;
   }
 
   formatStructuredDataResponse(data) {
@@ -813,12 +2635,38 @@ class ChatBot {
       response += `... and ${sections.length - 10} more matches\n\n`;
     }
 
-    response += `Click on any section number below to scroll to it, or say "scroll to section [number]"`;
+    response += `Click 📍 to scroll to a section, or say "scroll to section [number]"`;
 
     // Store sections for interactive clicking
     this.currentSearchResults = sections.slice(0, 10);
+    this.currentSemanticResults = null;
 
-    return response;
+    return { content: response, scrollTargets: this.getScrollTargets(this.currentSearchResults) };
+  }
+
+  // Kept on the message, so its scroll buttons still work after a reload
+  getScrollTargets(sections) {
+    return sections.map(section => ({ selector: section.selector }));
+  }
+
+  formatClickResponse(result, query) {
+    if (result.clicked) {
+      return `✅ Clicked **${result.name || result.text || query}**`;
+    }
+
+    if (result.ambiguous) {
+      let response = `Several elements match "${query}". Which one should I click?\n\n`;
+      result.candidates.forEach((candidate, index) => {
+        const hidden = candidate.visible ? '' : ', hidden';
+        response += `${index + 1}. **${candidate.name || candidate.tagName.toLowerCase()}** (${candidate.role}${hidden})\n`;
+      });
+      return {
+        content: response,
+        clickTargets: result.candidates.map(candidate => ({ selector: candidate.selector }))
+      };
+    }
+
+    return `❌ Nothing was clicked: ${result.reason || 'no matching element'}`;
   }
 
   formatScrollResponse(result) {
@@ -829,6 +2677,94 @@ class ChatBot {
     }
   }
 
+  // Answer with the exact text of the cell that matches the question, cite
+  // the table and cell, and highlight the cell on the page. Returns null when
+  // no cell matches.
+  async answerFromTables(question, options = {}) {
+    const { minScore, useModel = false, highlight = true } = options;
+
+    const tables = await this.executeMCPAction('extractTables', {});
+    if (tables.length === 0) return null;
+
+    let match = TableQA.match(question, tables, minScore);
+    if (!match && useModel && this.provider) {
+      match = await this.matchTableCellWithModel(question, tables);
+    }
+    if (!match) return null;
+
+    const table = tables[match.tableIndex];
+    const value = TableQA.cellValue(tables, match);
+    const rowLabel = TableQA.rowLabel(table, match.row, match.column);
+    const tableName = `Table ${match.tableIndex + 1}${table.caption ? ` (${table.caption})` : ''}`;
+
+    // The cell is found again in the frame the table came from
+    let selector = table.selector;
+    try {
+      const cell = await this.executeMCPAction('locateTableCell', { selector: table.selector, row: match.row, column: match.column });
+      const framePrefix = (table.selector.match(/^frame=\d+\s+>>>\s+/) || [''])[0];
+      selector = framePrefix + cell.selector;
+      if (highlight) {
+        await this.executeMCPAction('scrollToSection', { selector, highlight: 'element' });
+      }
+    } catch (error) {
+      console.warn('Could not highlight the table cell:', error.message);
+    }
+
+    let content = `**${value}** [1]\n\n${tableName}, row **${rowLabel}**, column **${table.headers[match.column]}**`;
+    if (match.score === null) {
+      content += ' (cell picked by the model)';
+    }
+    if (match.alternatives.length > 0) {
+      content += '\n\nOther cells match just as well:\n' + match.alternatives
+        .map(other => `- ${TableQA.rowLabel(tables[other.tableIndex], other.row, other.column)}, ` +
+          `${tables[other.tableIndex].headers[other.column]}: ${TableQA.cellValue(tables, other)}`)
+        .join('\n');
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return {
+      content,
+      citations: [{
+        number: 1,
+        heading: `${tableName}: ${rowLabel} × ${table.headers[match.column]}`,
+        selector,
+        url: tab ? tab.url : null
+      }]
+    };
+  }
+
+  async matchTableCellWithModel(question, tables) {
+    const reply = await this.provider.chatCompletion({
+      messages: [
+        { role: 'system', content: TABLE_QA_PROMPT },
+        { role: 'user', content: `${TableQA.describeTables(tables)}\n\nQuestion: ${question}` }
+      ],
+      temperature: 0,
+      max_tokens: 100,
+      stream: false
+    });
+    return TableQA.parseModelChoice(reply.content, tables);
+  }
+
+  // The tables are kept on the message so the export buttons work after a reload
+  formatTablesResponse(tables) {
+    if (tables.length === 0) {
+      return 'No tables found on this page.';
+    }
+
+    let response = `**Found ${tables.length} ${tables.length === 1 ? 'table' : 'tables'} on this page:**\n\n`;
+
+    tables.forEach((table, position) => {
+      response += `**Table ${position + 1}${table.caption ? `: ${table.caption}` : ''}** (${table.rowCount} rows × ${table.columnCount} columns)\n\n`;
+      response += `${TableExtractor.toMarkdown(table, TABLE_PREVIEW_ROWS)}\n\n`;
+      if (table.rowCount > TABLE_PREVIEW_ROWS) {
+        response += `... and ${table.rowCount - TABLE_PREVIEW_ROWS} more rows (export the table to get all of them)\n\n`;
+      }
+    });
+
+    return { content: response, tables };
+  }
+
   formatLinksResponse(links) {
     if (links.length === 0) {
       return 'No links found on this page.';
@@ -874,17 +2810,19 @@ class ChatBot {
 
   async saveChatHistory() {
     try {
-      await chrome.storage.local.set({ chatHistory: this.messages });
+      await this.conversations.saveMessages(this.conversations.index.activeId, this.messages);
+      this.updateConversationTitle();
     } catch (error) {
       console.error('Failed to save chat history:', error);
     }
   }
 
-  async processSemanticSections(semanticSections) {
+  async processSemanticSections(semanticSections, url) {
     if (!this.semanticSearch || !semanticSections) return;
 
     try {
-      this.semanticSections = await this.semanticSearch.processContentSections(semanticSections);
+      this.semanticSections = await this.semanticSearch.processContentSections(semanticSections, url);
+      this.semanticSectionsUrl = url;
       console.log(`Processed ${this.semanticSections.length} semantic sections`);
     } catch (error) {
       console.error('Failed to process semantic sections:', error);
@@ -892,18 +2830,54 @@ class ChatBot {
     }
   }
 
+  // Extract and embed the page's sections unless that already happened
+  async ensureSemanticSections() {
+    if (this.semanticSections.length > 0) {
+      // Sections from a page the user has since left are stale
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab && tab.url === this.semanticSectionsUrl) return true;
+    }
+
+    const result = await this.executeMCPAction('extractStructuredData', { enableSemanticProcessing: true });
+    if (!result.semanticSections) return false;
+
+    await this.processSemanticSections(result.semanticSections, result.url);
+    return this.semanticSections.length > 0;
+  }
+
+  // "find X" ranks page sections with the hybrid keyword + vector retriever,
+  // falling back to the content script's substring match
+  async handleFindSections(query) {
+    if (this.semanticSearch && await this.ensureSemanticSections()) {
+      const results = await this.semanticSearch.semanticSearch(query, this.semanticSections, 10);
+
+      if (results.length > 0) {
+        let response = `**Found ${results.length} sections matching "${query}":**\n\n`;
+
+        results.forEach((section, index) => {
+          response += `${index + 1}. **${section.heading || section.text.substring(0, 100)}**\n`;
+          response += `   Why: ${section.matchExplanation.join('; ')}\n\n`;
+        });
+
+        response += `Click 📍 to scroll to a section, or say "scroll to section [number]"`;
+
+        this.currentSearchResults = results;
+        this.currentSemanticResults = null;
+        return { content: response, scrollTargets: this.getScrollTargets(results) };
+      }
+    }
+
+    const sections = await this.executeMCPAction('findSections', { query });
+    return this.formatSectionsResponse(sections, query);
+  }
+
   async handleSemanticSearch(query) {
     if (!this.semanticSearch) {
       return 'Semantic search is not available. Please try reading the page first to enable semantic processing.';
     }
 
-    if (this.semanticSections.length === 0) {
-      const result = await this.executeMCPAction('extractStructuredData', { enableSemanticProcessing: true });
-      if (result.semanticSections) {
-        await this.processSemanticSections(result.semanticSections);
-      } else {
-        return 'No semantic content found on this page. Please try reading the page first.';
-      }
+    if (!await this.ensureSemanticSections()) {
+      return 'No semantic content found on this page. Please try reading the page first.';
     }
 
     try {
@@ -919,6 +2893,7 @@ class ChatBot {
         const relevanceEmoji = this.getRelevanceEmoji(section.relevanceScore);
         response += `${index + 1}. ${relevanceEmoji} **${section.heading || 'Untitled Section'}**\n`;
         response += `   Relevance: ${section.relevanceLabel} (${Math.round(section.relevanceScore * 100)}%)\n`;
+        response += `   Why: ${section.matchExplanation.join('; ')}\n`;
         response += `   Preview: ${section.text.substring(0, 150)}${section.text.length > 150 ? '...' : ''}\n\n`;
       });
 
@@ -926,8 +2901,9 @@ class ChatBot {
 
       // Store semantic results for interactive scrolling
       this.currentSemanticResults = results;
+      this.currentSearchResults = null;
 
-      return response;
+      return { content: response, scrollTargets: this.getScrollTargets(results) };
     } catch (error) {
       console.error('Semantic search failed:', error);
       return `Semantic search failed: ${error.message}. Please try again or use regular search.`;
@@ -939,13 +2915,8 @@ class ChatBot {
       return 'Semantic scroll is not available. Please try reading the page first to enable semantic processing.';
     }
 
-    if (this.semanticSections.length === 0) {
-      const result = await this.executeMCPAction('extractStructuredData', { enableSemanticProcessing: true });
-      if (result.semanticSections) {
-        await this.processSemanticSections(result.semanticSections);
-      } else {
-        return 'No semantic content found on this page. Please try reading the page first.';
-      }
+    if (!await this.ensureSemanticSections()) {
+      return 'No semantic content found on this page. Please try reading the page first.';
     }
 
     try {
@@ -0,0 +1,41 @@
+// Student profile
+// Values the student saves once (name, email, UCID, ...) so the form filling
+// tool can reuse them. Keys match the semantic keys in form-filler.js. Stored
+// in chrome.storage.local only and never sent to the model.
+
+const STUDENT_PROFILE_KEY = 'studentProfile';
+
+const STUDENT_PROFILE_FIELDS = [
+  { key: 'firstName', label: 'First name', type: 'text', autocomplete: 'given-name' },
+  { key: 'lastName', label: 'Last name', type: 'text', autocomplete: 'family-name' },
+  { key: 'email', label: 'Email', type: 'email', autocomplete: 'email' },
+  { key: 'studentId', label: 'UCID', type: 'text', autocomplete: 'off' },
+  { key: 'phone', label: 'Phone', type: 'tel', autocomplete: 'tel' },
+  { key: 'program', label: 'Program', type: 'text', autocomplete: 'off' }
+];
+
+class StudentProfile {
+  static async load() {
+    const result = await chrome.storage.local.get([STUDENT_PROFILE_KEY]);
+    return result[STUDENT_PROFILE_KEY] || {};
+  }
+
+  // Empty fields are dropped so they never overwrite anything on a form
+  static async save(values) {
+    const profile = {};
+    STUDENT_PROFILE_FIELDS.forEach(field => {
+      const value = (values[field.key] || '').trim();
+      if (value) profile[field.key] = value;
+    });
+
+    await chrome.storage.local.set({ [STUDENT_PROFILE_KEY]: profile });
+    return profile;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StudentProfile, STUDENT_PROFILE_FIELDS };
+} else if (typeof window !== 'undefined') {
+  window.StudentProfile = StudentProfile;
+  window.STUDENT_PROFILE_FIELDS = STUDENT_PROFILE_FIELDS;
+}
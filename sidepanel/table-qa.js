@@ -0,0 +1,153 @@
+// Table question answering
+// Finds the cell that answers a lookup question ("international tuition per
+// unit for engineering") in the tables from extractTables. The local matcher
+// scores every body cell by how much of its column header and of its row's
+// label cells appear in the question; the model is only asked to pick a cell
+// when nothing matches well enough. Either way the answer is the exact cell text.
+
+const TABLE_QA_STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'in', 'on', 'to', 'at', 'by', 'and', 'or', 'is', 'are', 'was', 'were',
+  'what', 'whats', 'which', 'who', 'when', 'where', 'how', 'much', 'many', 'does', 'do', 'did', 'it',
+  'this', 'that', 'there', 'be', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'can', 'tell', 'about',
+  'show', 'give', 'find', 'table', 'page', 'please', 'with', 'from', 'as', 'value'
+]);
+
+// Minimum score for the local matcher to answer at all
+const TABLE_QA_MIN_SCORE = 0.25;
+// Plain chat messages longer than this (in content words) aren't lookups
+const TABLE_QA_MAX_LOOKUP_WORDS = 8;
+
+class TableQA {
+  // { tableIndex, row, column, score, alternatives } for the best cell, or null
+  static match(question, tables, minScore = TABLE_QA_MIN_SCORE) {
+    const words = TableQA.tokenize(question);
+    if (words.length === 0) return null;
+
+    const candidates = [];
+    tables.forEach((table, tableIndex) => {
+      const captionScore = TableQA.overlap(words, table.caption);
+
+      table.headers.forEach((header, column) => {
+        if (column < table.rowHeaderColumns) return;
+
+        const columnScore = TableQA.overlap(words, header);
+        if (columnScore === 0) return;
+
+        table.rows.forEach((row, rowIndex) => {
+          if (!row[column]) return;
+
+          const rowScore = TableQA.rowLabelScore(words, table, row, column);
+          if (rowScore === 0) return;
+
+          candidates.push({
+            tableIndex,
+            row: rowIndex,
+            column,
+            score: columnScore * rowScore * 0.9 + captionScore * 0.1
+          });
+        });
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+    const [best] = candidates;
+    if (!best || best.score < minScore) return null;
+
+    // Other cells that score the same but say something else
+    const value = TableQA.cellValue(tables, best);
+    best.alternatives = candidates
+      .filter(candidate => candidate !== best && candidate.score >= best.score - 0.001)
+      .filter(candidate => TableQA.cellValue(tables, candidate) !== value)
+      .slice(0, 3);
+
+    return best;
+  }
+
+  // Short "what / when / how much ..." questions, worth checking against the
+  // page's tables before the model is asked
+  static isLookupQuestion(question) {
+    const text = String(question || '').trim();
+    if (!/^(what|what's|whats|when|which|who|where|how\s+(much|many|long|late|early))\b/i.test(text)) return false;
+
+    const words = TableQA.tokenize(text).length;
+    return words > 0 && words <= TABLE_QA_MAX_LOOKUP_WORDS;
+  }
+
+  // How well the row's label cells (row headers, or the other text cells) match
+  static rowLabelScore(words, table, row, column) {
+    const labels = table.rowHeaderColumns > 0
+      ? row.slice(0, table.rowHeaderColumns)
+      : row.filter((cell, index) => index !== column && /\p{L}/u.test(cell));
+
+    return labels.reduce((best, label) => Math.max(best, TableQA.overlap(words, label)), 0);
+  }
+
+  // Share of the text's words that the question mentions
+  static overlap(words, text) {
+    const tokens = TableQA.tokenize(text);
+    if (tokens.length === 0) return 0;
+
+    const matched = tokens.filter(token => words.includes(token)).length;
+    return matched / tokens.length;
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .split(' ')
+      .filter(word => word && !TABLE_QA_STOPWORDS.has(word))
+      .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  static cellValue(tables, match) {
+    return tables[match.tableIndex].rows[match.row][match.column];
+  }
+
+  // "Engineering", or "BSc / Year 1" when there are several row header columns
+  static rowLabel(table, row, column) {
+    const cells = table.rowHeaderColumns > 0
+      ? table.rows[row].slice(0, table.rowHeaderColumns)
+      : table.rows[row].filter((cell, index) => index !== column && /\p{L}/u.test(cell)).slice(0, 1);
+    return cells.filter(Boolean).join(' / ') || `Row ${row + 1}`;
+  }
+
+  // Numbered tables, rows and columns for the model to pick a cell from
+  static describeTables(tables, maxRows = 40) {
+    return tables.map((table, tableIndex) => {
+      const lines = [`Table ${tableIndex + 1}${table.caption ? `: ${table.caption}` : ''}`];
+      lines.push(`Columns: ${table.headers.map((header, index) => `${index + 1}=${header}`).join('; ')}`);
+      table.rows.slice(0, maxRows).forEach((row, index) => {
+        lines.push(`Row ${index + 1}: ${row.join(' | ')}`);
+      });
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  // The model's {"table", "row", "column"} reply (1-based), checked against the tables
+  static parseModelChoice(text, tables) {
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+
+    let choice;
+    try {
+      choice = JSON.parse(json[0]);
+    } catch (error) {
+      return null;
+    }
+
+    const tableIndex = Number(choice.table) - 1;
+    const row = Number(choice.row) - 1;
+    const column = Number(choice.column) - 1;
+    const table = tables[tableIndex];
+    if (!table || !table.rows[row] || !table.rows[row][column]) return null;
+
+    return { tableIndex, row, column, score: null, alternatives: [] };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableQA;
+} else if (typeof window !== 'undefined') {
+  window.TableQA = TableQA;
+}
@@ -0,0 +1,122 @@
+// Workflow store
+// Recorded chains of web commands ("find sections about CPSC", "get all
+// links", ...) saved under a name. Recorded values can be turned into
+// {placeholders} when saving, so one workflow works for any course or term;
+// the recorded value stays the default. Stored in chrome.storage.local.
+
+const WORKFLOW_STORE_KEY = 'workflows';
+
+class WorkflowStore {
+  static async list() {
+    const workflows = await WorkflowStore.load();
+    return Object.values(workflows).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static async load() {
+    const result = await chrome.storage.local.get([WORKFLOW_STORE_KEY]);
+    return result[WORKFLOW_STORE_KEY] || {};
+  }
+
+  static async get(name) {
+    const workflows = await WorkflowStore.load();
+    return workflows[WorkflowStore.normalizeName(name)] || null;
+  }
+
+  static async save(workflow) {
+    const workflows = await WorkflowStore.load();
+    const key = WorkflowStore.normalizeName(workflow.name);
+    const existing = workflows[key];
+
+    workflows[key] = {
+      ...workflow,
+      name: key,
+      createdAt: existing ? existing.createdAt : Date.now(),
+      updatedAt: Date.now()
+    };
+    await chrome.storage.local.set({ [WORKFLOW_STORE_KEY]: workflows });
+    return workflows[key];
+  }
+
+  static async remove(name) {
+    const workflows = await WorkflowStore.load();
+    const key = WorkflowStore.normalizeName(name);
+    if (!workflows[key]) return false;
+
+    delete workflows[key];
+    await chrome.storage.local.set({ [WORKFLOW_STORE_KEY]: workflows });
+    return true;
+  }
+
+  static normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  // 'class-search course=CPSC term="Fall 2026"' -> { rest: 'class-search', values: { course: 'CPSC', term: 'Fall 2026' } }
+  static parseAssignments(text) {
+    const values = {};
+    const rest = text.replace(/(\w+)=("[^"]*"|'[^']*'|\S+)/g, (match, key, value) => {
+      values[key] = value.replace(/^["']|["']$/g, '');
+      return '';
+    });
+    return { rest: rest.replace(/\s+/g, ' ').trim(), values };
+  }
+
+  // Replace each recorded value with its {placeholder}. Values only match
+  // whole arguments ("CPSC", "Fall 2026"), never part of a word or URL. Values
+  // that appear in no step, and empty ones, are reported so a typo doesn't
+  // silently save a fixed workflow
+  static parameterize(steps, values) {
+    const unused = [];
+    let result = steps.map(step => ({ ...step }));
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (!value.trim()) {
+        unused.push(key);
+        return;
+      }
+
+      const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(^|[\\s"'(])${escaped}(?=$|[\\s"'),.;:!?])`, 'i');
+      let used = false;
+
+      result = result.map(step => {
+        if (!pattern.test(step.command)) return step;
+        used = true;
+        // The recorded target no longer applies once the step depends on a value
+        return { command: step.command.replace(new RegExp(pattern.source, 'gi'), `$1{${key}}`), waitFor: null };
+      });
+
+      if (!used) unused.push(key);
+    });
+
+    return { steps: result, unused };
+  }
+
+  static placeholders(workflow) {
+    const names = new Set();
+    workflow.steps.forEach(step => {
+      (step.command.match(/\{(\w+)\}/g) || []).forEach(match => names.add(match.slice(1, -1)));
+    });
+    return Array.from(names);
+  }
+
+  // Commands with every {placeholder} filled from values, then the defaults
+  static fill(workflow, values = {}) {
+    const merged = { ...workflow.defaults, ...values };
+    const missing = WorkflowStore.placeholders(workflow).filter(name => merged[name] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Missing values for ${missing.map(name => `${name}=...`).join(', ')}`);
+    }
+
+    return workflow.steps.map(step => ({
+      ...step,
+      command: step.command.replace(/\{(\w+)\}/g, (match, name) => merged[name])
+    }));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkflowStore;
+} else if (typeof window !== 'undefined') {
+  window.WorkflowStore = WorkflowStore;
+}
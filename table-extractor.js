@@ -0,0 +1,244 @@
+// Table Extractor - Normalized model of HTML tables
+// Loaded before content-script.js, and by the side panel for CSV/JSON export.
+// Cells are laid out on a grid the way the browser does it, so colspan and
+// rowspan are expanded into every slot they cover. Header rows (thead, or
+// leading rows of th cells) become column headers, leading th columns are
+// row headers, and the caption is kept.
+//
+// Model: { index, selector, caption, headers, headerRows, rowHeaderColumns,
+//          columnCount, rowCount, rows }
+// headers has one label per column ("Fees / Domestic" for stacked headers);
+// rows holds the body cells as text, one entry per column.
+
+const TABLE_MAX_SPAN = 1000;
+
+class TableExtractor {
+  constructor(selectors) {
+    this.selectors = selectors;
+  }
+
+  extract(params = {}) {
+    const tables = params.selector
+      ? [this.selectors.resolve(params.selector)].filter(Boolean)
+      : this.selectors.queryAll('table');
+
+    if (params.selector && tables.length === 0) {
+      throw new Error(`Table not found: ${params.selector}`);
+    }
+
+    return tables
+      .filter(table => table.localName === 'table' && !/^(presentation|none)$/.test(table.getAttribute('role') || ''))
+      .map((table, index) => this.buildModel(table, index));
+  }
+
+  buildModel(table, index) {
+    const grid = this.layout(table);
+    const columnCount = grid.reduce((max, row) => Math.max(max, row.length), 0);
+    const headerRowCount = this.countHeaderRows(grid);
+
+    const headerGrid = grid.slice(0, headerRowCount);
+    const bodyGrid = this.bodyRows(grid, headerRowCount);
+
+    const headers = [];
+    for (let column = 0; column < columnCount; column++) {
+      headers.push(this.columnLabel(headerGrid, column) || `Column ${column + 1}`);
+    }
+
+    return {
+      index,
+      selector: this.selectors.generate(table),
+      caption: this.getCaption(table),
+      headers,
+      headerRows: headerGrid.map(row => this.rowText(row, columnCount)),
+      rowHeaderColumns: this.countRowHeaderColumns(bodyGrid, columnCount),
+      columnCount,
+      rowCount: bodyGrid.length,
+      rows: bodyGrid.map(row => this.rowText(row, columnCount))
+    };
+  }
+
+  // Selector of a body cell, by the row and column indexes of the model
+  locateCell(params) {
+    const { selector, row, column } = params;
+    const table = this.selectors.resolve(selector);
+    if (!table || table.localName !== 'table') {
+      throw new Error(`Table not found: ${selector}`);
+    }
+
+    const grid = this.layout(table);
+    const bodyGrid = this.bodyRows(grid, this.countHeaderRows(grid));
+    const slot = bodyGrid[row] && bodyGrid[row][column];
+    if (!slot) {
+      throw new Error(`No cell at row ${row + 1}, column ${column + 1}`);
+    }
+
+    return { selector: this.selectors.generate(slot.cell), text: slot.text };
+  }
+
+  // Rows after the header rows, without empty spacer rows
+  bodyRows(grid, headerRowCount) {
+    return grid.slice(headerRowCount).filter(row => row.some(slot => slot && slot.text));
+  }
+
+  // HTML table layout: each cell takes the next free slot in its row and
+  // fills colspan x rowspan slots; rowspan="0" runs to the end of its row group
+  layout(table) {
+    const rows = Array.from(table.rows);
+    const grid = rows.map(() => []);
+
+    rows.forEach((row, rowIndex) => {
+      const section = row.parentElement;
+      const sectionEnd = rowIndex + rows.slice(rowIndex).filter(other => other.parentElement === section).length;
+      let column = 0;
+
+      Array.from(row.cells).forEach(cell => {
+        while (grid[rowIndex][column]) column++;
+
+        const colSpan = Math.min(Math.max(cell.colSpan || 1, 1), TABLE_MAX_SPAN);
+        const rowSpan = cell.rowSpan === 0
+          ? sectionEnd - rowIndex
+          : Math.min(Math.max(cell.rowSpan || 1, 1), sectionEnd - rowIndex);
+
+        const slot = {
+          cell,
+          text: this.cleanText(cell.innerText || cell.textContent),
+          header: cell.localName === 'th' || section.localName === 'thead',
+          rowHeader: (cell.localName === 'th' && cell.getAttribute('scope') !== 'col') || cell.getAttribute('scope') === 'row',
+          section: section.localName
+        };
+
+        for (let r = 0; r < rowSpan; r++) {
+          for (let c = 0; c < colSpan; c++) {
+            grid[rowIndex + r][column + c] = slot;
+          }
+        }
+        column += colSpan;
+      });
+    });
+
+    return grid;
+  }
+
+  // thead rows, or without a thead the leading rows made only of th cells
+  countHeaderRows(grid) {
+    const theadRows = grid.filter(row => row.some(slot => slot && slot.section === 'thead')).length;
+    if (theadRows > 0) return theadRows;
+
+    let count = 0;
+    while (count < grid.length - 1 && grid[count].length > 0 && grid[count].every(slot => slot && slot.header)) {
+      count++;
+    }
+    return count;
+  }
+
+  // Leading columns where every body row has a th (or scope="row") cell
+  countRowHeaderColumns(bodyGrid, columnCount) {
+    if (bodyGrid.length === 0) return 0;
+
+    let count = 0;
+    while (count < columnCount && bodyGrid.every(row => row[count] && row[count].rowHeader)) {
+      count++;
+    }
+    return count;
+  }
+
+  // Stacked header texts for a column, without the repeats left by spans
+  columnLabel(headerGrid, column) {
+    const parts = [];
+    headerGrid.forEach(row => {
+      const slot = row[column];
+      if (slot && slot.text && parts[parts.length - 1] !== slot.text) {
+        parts.push(slot.text);
+      }
+    });
+    return parts.join(' / ');
+  }
+
+  rowText(row, columnCount) {
+    const cells = [];
+    for (let column = 0; column < columnCount; column++) {
+      cells.push(row[column] ? row[column].text : '');
+    }
+    return cells;
+  }
+
+  getCaption(table) {
+    if (table.caption) {
+      return this.cleanText(table.caption.innerText || table.caption.textContent);
+    }
+
+    const labelledBy = table.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = table.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById ? root.getElementById(id) : document.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.textContent)
+        .join(' ');
+      if (text.trim()) return this.cleanText(text);
+    }
+
+    return this.cleanText(table.getAttribute('aria-label') || table.getAttribute('summary') || '');
+  }
+
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // One object per body row keyed by column header; repeated headers get a suffix
+  static toRecords(table) {
+    const keys = [];
+    table.headers.forEach(header => {
+      let key = header;
+      for (let n = 2; keys.includes(key); n++) {
+        key = `${header} (${n})`;
+      }
+      keys.push(key);
+    });
+
+    return table.rows.map(row => {
+      const record = {};
+      keys.forEach((key, column) => {
+        record[key] = row[column] ?? '';
+      });
+      return record;
+    });
+  }
+
+  // Page text is untrusted: a cell starting with = + - @ (or tab/CR) would run
+  // as a formula in a spreadsheet, so it is prefixed with a quote
+  static toCSV(table) {
+    const neutralize = value => /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    const escape = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return [table.headers, ...table.rows]
+      .map(row => row.map(value => escape(neutralize(String(value ?? '')))).join(','))
+      .join('\r\n');
+  }
+
+  static toJSON(table) {
+    return JSON.stringify({
+      caption: table.caption,
+      headers: table.headers,
+      rowHeaderColumns: table.rowHeaderColumns,
+      rows: TableExtractor.toRecords(table)
+    }, null, 2);
+  }
+
+  static toMarkdown(table, maxRows = Infinity) {
+    const escape = value => String(value ?? '').replace(/\|/g, '\\|') || ' ';
+    const lines = [
+      `| ${table.headers.map(escape).join(' | ')} |`,
+      `| ${table.headers.map(() => '---').join(' | ')} |`
+    ];
+    table.rows.slice(0, maxRows).forEach(row => {
+      lines.push(`| ${row.map(escape).join(' | ')} |`);
+    });
+    return lines.join('\n');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableExtractor;
+} else if (typeof window !== 'undefined') {
+  window.TableExtractor = TableExtractor;
+}
@@ -0,0 +1,51 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMProvider } = require('../sidepanel/llm-provider.js');
+
+// A fetch-like response whose body yields the given chunks
+function streamResponse(chunks) {
+  const encoder = new TextEncoder();
+  return {
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    })
+  };
+}
+
+const event = delta => `data: ${JSON.stringify({ choices: [{ delta }] })}`;
+
+test('readChatStream joins content split across chunks', async () => {
+  const tokens = [];
+  const message = await new LLMProvider().readChatStream(streamResponse([
+    `${event({ content: 'Hel' })}\n`,
+    `${event({ content: 'lo' })}\ndata: [DO`,
+    'NE]\n'
+  ]), text => tokens.push(text));
+
+  assert.deepEqual(message, { role: 'assistant', content: 'Hello' });
+  assert.deepEqual(tokens, ['Hel', 'Hello']);
+});
+
+test('readChatStream keeps a last event that has no trailing newline', async () => {
+  const message = await new LLMProvider().readChatStream(streamResponse([
+    `${event({ content: 'Hi' })}\n`,
+    event({ content: ' there' })
+  ]));
+
+  assert.equal(message.content, 'Hi there');
+});
+
+test('readChatStream stitches tool call fragments by index', async () => {
+  const message = await new LLMProvider().readChatStream(streamResponse([
+    `${event({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'page_click', arguments: '{"sel' } }] })}\n`,
+    event({ tool_calls: [{ index: 0, function: { arguments: 'ector":"a"}' } }] })
+  ]));
+
+  assert.deepEqual(message.tool_calls, [
+    { id: 'call_1', type: 'function', function: { name: 'page_click', arguments: '{"selector":"a"}' } }
+  ]);
+});
@@ -0,0 +1,24 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SelectorEngine = require('../selector-engine.js');
+
+test('splitPath splits on " >>> " between shadow hosts', () => {
+  assert.deepEqual(SelectorEngine.splitPath('my-app >>> my-widget >>> a.more'), ['my-app', 'my-widget', 'a.more']);
+  assert.deepEqual(SelectorEngine.splitPath('div.plain'), ['div.plain']);
+});
+
+test('splitPath keeps the frame prefix as its own part', () => {
+  assert.deepEqual(SelectorEngine.splitPath('frame=3 >>> my-widget >>> a'), ['frame=3', 'my-widget', 'a']);
+});
+
+test('splitPath ignores separators inside quotes', () => {
+  assert.deepEqual(SelectorEngine.splitPath('host >>> [aria-label="a >>> b"]'), ['host', '[aria-label="a >>> b"]']);
+  assert.deepEqual(SelectorEngine.splitPath("[title='x >>> y'] >>> p"), ["[title='x >>> y']", 'p']);
+  assert.deepEqual(SelectorEngine.splitPath('[title="say \\" >>> "]'), ['[title="say \\" >>> "]']);
+});
+
+test('splitPath ignores separators inside brackets and parentheses', () => {
+  assert.deepEqual(SelectorEngine.splitPath('a[data-x=a >>> b]'), ['a[data-x=a >>> b]']);
+  assert.deepEqual(SelectorEngine.splitPath(':is(x-a >>> b, c) >>> d'), [':is(x-a >>> b, c)', 'd']);
+});